@@ -0,0 +1,2 @@
+// debug installs its own copy of ms at another version, neither of them is bundled
+export const duplicates = "duplicates";
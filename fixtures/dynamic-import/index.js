@@ -0,0 +1,2 @@
+// loaded on demand, the chunk still belongs to this subpath
+export const load = () => import("./lazy.js");
@@ -0,0 +1 @@
+export const lazy = "imported statically by second and dynamically by main";
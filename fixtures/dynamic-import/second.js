@@ -0,0 +1,3 @@
+import { lazy } from "./lazy.js";
+
+export const second = lazy.toUpperCase();
@@ -0,0 +1,17 @@
+/**
+ * Replaces the marker with a long string, so the size of the package tells whether the plugin was used
+ * @param {{ size?: number }} [options]
+ */
+export default function markerPlugin({ size = 4096 } = {}) {
+	return {
+		name: "marker",
+		/**
+		 * @param {string} code
+		 */
+		transform(code) {
+			return code.includes("PKGSZ_MARKER")
+				? code.replaceAll("PKGSZ_MARKER", "x".repeat(size))
+				: null;
+		},
+	};
+}
@@ -0,0 +1 @@
+export const marker = "PKGSZ_MARKER";
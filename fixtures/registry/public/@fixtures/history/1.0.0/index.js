@@ -0,0 +1 @@
+export const history = "1.0.0";
@@ -0,0 +1 @@
+export const history = "1.1.0 adds a few bytes";
@@ -0,0 +1 @@
+export const history = "2.0.0 grows by a few hundred bytes, grows by a few hundred bytes, grows by a few hundred bytes, grows by a few hundred bytes, grows by a few hundred bytes, grows by a few hundred bytes, grows by a few hundred bytes, grows by a few hundred bytes, grows by a few hundred bytes, grows by a few hundred bytes";
@@ -0,0 +1 @@
+export const history = "2.1.0-beta.0 is a prerelease";
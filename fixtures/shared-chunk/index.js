@@ -0,0 +1,3 @@
+import { format } from "./shared.js";
+
+export const main = format("main");
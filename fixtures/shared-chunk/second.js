@@ -0,0 +1,7 @@
+import { format } from "./shared.js";
+
+export const second = format("second");
+
+export function onlySecond() {
+	return second.toUpperCase();
+}
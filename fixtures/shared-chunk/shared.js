@@ -0,0 +1,7 @@
+// used by both subpaths, so it ends up in a chunk of its own
+/**
+ * @param {string} value
+ */
+export function format(value) {
+	return `[${value.padStart(8, "-")}]`;
+}
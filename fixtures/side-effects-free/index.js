@@ -0,0 +1 @@
+export const free = "nothing is left when nothing is used";
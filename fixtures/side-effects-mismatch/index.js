@@ -0,0 +1,4 @@
+// declared free of side effects, bundlers drop the assignment together with the module
+globalThis.sideEffectsMismatch = "kept despite the field";
+
+export const mismatch = "mismatch";
@@ -0,0 +1,3 @@
+globalThis.sideEffectsTopLevel = "kept by a bare import";
+
+export const topLevel = "top level";
@@ -0,0 +1,5 @@
+export const small = "small";
+
+// a large export that is dropped when only \`small\` is imported
+export const large =
+	"lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod magna consectetur incididunt lorem elit labore dolor do dolore amet tempor aliqua adipiscing ut ipsum sed et sit eiusmod";
@@ -0,0 +1,3 @@
+export { foo } from "@tstpkgs/basic-esm";
+
+export const bar = "bar is the own code of the package";
@@ -0,0 +1,3 @@
+import { b } from "@fixtures/ws-b";
+
+export const a = `a depends on ${b}`;
@@ -1,686 +1,650 @@
 #!/usr/bin/env node
 // system imports
-import { exec } from "node:child_process";
-import {
-	mkdir,
-	mkdtemp,
-	readFile,
-	readdir,
-	rm,
-	stat,
-	writeFile,
-} from "node:fs/promises";
-import { tmpdir } from "node:os";
-import { join } from "node:path";
-import { fileURLToPath } from "node:url";
-import { promisify } from "node:util";
-import { constants, brotliCompress, gzip } from "node:zlib";
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
 // 3rd party imports
 import "@niceties/draftlog-appender";
-import { blue, cyan, gray, green, underline, yellow } from "@niceties/ansi";
-import { createLogger as createNicetiesLogger } from "@niceties/logger";
 import { parseArgsPlus } from "@niceties/node-parseargs-plus";
 import { camelCase } from "@niceties/node-parseargs-plus/camel-case";
 import { help } from "@niceties/node-parseargs-plus/help";
 import { readPackageJson } from "@niceties/node-parseargs-plus/package-info";
 import { parameters } from "@niceties/node-parseargs-plus/parameters";
+// local imports
+import { validateBudgets } from "./lib/budgets.js";
+import { bundlerNames, validateBundler } from "./lib/bundlers.js";
+import { clearCache, validateCache } from "./lib/cache.js";
+import { loadChecks } from "./lib/config.js";
+import { diffReports, findBaseline, getSavedReports } from "./lib/diff.js";
+import { defaultConditions, resolveDeclaredConditions } from "./lib/exports.js";
+import { createLogger } from "./lib/logger.js";
+import {
+	getFormat,
+	printCsv,
+	printMarkdown,
+	printNdjson,
+	validateFormat,
+} from "./lib/formats.js";
+import { findLargestIncrease, resolveVersions } from "./lib/history.js";
+import { writeHtmlReport } from "./lib/html.js";
+import {
+	isLocalPackage,
+	measurePackage,
+	validateComposition,
+	validateExports,
+	validateImports,
+} from "./lib/measure.js";
+import { validatePackageManager } from "./lib/package-managers.js";
+import {
+	printChecks,
+	printComparison,
+	printHistory,
+	printResults,
+	printSummary,
+} from "./lib/report.js";
+import {
+	findWorkspacePackages,
+	sortReports,
+	validateSort,
+} from "./lib/workspaces.js";
 
-import prompt from "prompts";
-import { readPackageUp } from "read-package-up";
-
-// promisified functions
-const execAsync = promisify(exec);
-const gzipAsync = promisify(gzip);
-const brotliAsync = promisify(brotliCompress);
-const smeBin = fileURLToPath(import.meta.resolve("source-map-explorer/bin/cli.js"));
-const pkgbldBin = fileURLToPath(import.meta.resolve("pkgbld/index.js"));
-
-const ansiRegex = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, "g");
-
-const resultCaptions = {
-	sizeMinified: "minified",
-	sizeMinifiedGzipped: "minified + gzip",
-	sizeMinifiedBrotli: "minified + brotli",
-	nodeModulesSize: "node_modules",
-	nodeModulesFiles: "node_modules files",
-};
-
-// types
-/** @typedef {'bytes' | 'count'} Unit */
-/**
- * @typedef {Object} Result
- * @property {keyof resultCaptions} id
- * @property {number} value
- * @property {Unit} unit
- */
-
-/**
- * @typedef {('brotli' | 'gzip' | 'none')} CompressionMethod
- */
+// exit code used when the package is measured successfully but does not fit into its budgets
+const budgetExceededExitCode = 2;
 
 // globals
 const logger = createLogger();
 
-/**
- * @type {Set.<Result>}
- */
-const results = new Set();
-const compositionMap = new Map();
-
-/**
- * @type {{ export: string, import: string, hasDefaultExport: boolean }[]}
- */
-let exportsData = [];
+const { packages, flags, options, overrides } = await getCliArgs();
 
-/**
- * @type {(() => Promise<void> | void)[]}
- */
-const cleanup = [];
-/**
- * @type {Promise<void>[]}
- */
-const deferred = [];
+if (flags.clearCache) {
+	console.log(`Removed cache directory ${await clearCache(flags)}`);
+	process.exit(0);
+}
 
-const { packageName, version, flags } = await getCliArgs();
+const format = getFormat(flags);
 
-if (flags.json) {
+if (format !== "text") {
 	logger.makeQuiet();
 }
 
-validateExports(flags.export);
-
-logger.log();
-
-const dirName = await createDirs();
-
-const packageJson = createPackageJson();
-
-await installPackage();
-
-calculateNodeModulesSize();
-
-const { exports, version: packageVersion, deps } = await resolvePackageJson();
-
-if (flags.interactive) {
-	const { selectedExports, selectedDependencies } = await interactiveMode(
-		deps,
-		exports,
-	);
-	selectedDependencies.push(packageName);
-	exportsData = await getExportsData(selectedExports);
-	await buildPackage(exports, exportsData, selectedDependencies);
-} else {
-	exportsData = await getExportsData(flags.export);
+const checks = options ? await readChecks(options, overrides) : undefined;
 
-	await buildPackage(exports, exportsData);
-}
+const argsErrors = [
+	...validateFormat(flags),
+	...validateSort(flags),
+	...(checks
+		? checks.flatMap((check) =>
+				validateMeasureFlags(check.flags).map(
+					(error) => `Check ${check.name}: ${error}`,
+				),
+			)
+		: validateMeasureFlags(flags)),
+];
 
-try {
-	await exploreSourcemaps();
-} catch {
-	// sourcemap exploration is optional, continue without composition data
+if (argsErrors.length) {
+	console.error(argsErrors.join("\n"));
+	process.exit(1);
 }
 
-await prunePackage();
-
-await calculateDistSize();
-
-logger.succeed(`Package: ${green(packageName)}@${blue(packageVersion)}`);
-
-exitAndReport(0);
-
-// high level functions
-
-/**
- * @param {string[]} deps
- * @param {string[]} exports
- * @returns {Promise<{ selectedExports: string[], selectedDependencies: string[] }>}
- */
-async function interactiveMode(deps, exports) {
-	const loggerText = logger.text;
-	logger.stop();
-
-	/** @type {string[]} */
-	let selectedExports = ["."];
-
-	if (exports.length > 1) {
-		const { exports: exportsFromPrompt } = await prompt([
-			{
-				type: "multiselect",
-				name: "exports",
-				message: "Which subpaths do you want to reexport?",
-				choices: exports.map((exportName) => ({
-					title: exportName,
-					value: exportName,
-					disabled: exportName.includes("*"),
-				})),
+// the printers know `--json` only
+flags.json = format === "json";
+
+const baselines = flags.baseline
+	? await readBaseline(flags.baseline)
+	: undefined;
+
+/** @type {import('./lib/measure.js').Report[]} */
+const reports = [];
+let failed = false;
+
+const isHistory = flags.versions !== undefined || flags.last !== undefined;
+
+const targets = getBundlerTargets(
+	checks
+		? getCheckTargets(checks)
+		: flags.workspaces
+			? await getWorkspaceTargets()
+			: isHistory
+				? await getHistoryTargets()
+				: flags.allConditions
+					? await getConditionTargets()
+					: packages,
+);
+
+// every package is measured in its own temporary directory, one after another
+for (const {
+	packageName,
+	version,
+	conditions,
+	bundler,
+	check,
+	exports,
+} of targets) {
+	try {
+		const report = await measurePackage({
+			packageName,
+			version,
+			flags: {
+				...(check ? check.flags : flags),
+				...(exports && { export: exports }),
+				...(conditions && { conditions }),
+				...(bundler && { bundler }),
 			},
-		]);
-
-		if (!exportsFromPrompt) {
-			throw new Error("Cancelled");
+			logger,
+			// plugins of the config are used for its checks only
+			configFile: check?.configFile,
+		});
+		if (check) {
+			report.metadata.check = check.name;
+		}
+		const baselineReport =
+			baselines && findBaseline(baselines, report.metadata.name);
+		if (baselineReport) {
+			report.diff = diffReports(baselineReport, report);
+		}
+		reports.push(report);
+		if (format === "ndjson") {
+			printNdjson(report);
+		}
+	} catch (/** @type {any} */ error) {
+		failed = true;
+		if (error.report) {
+			// the failed step is already reported by the logger
+			if (check) {
+				error.report.metadata.check = check.name;
+			}
+			reports.push(error.report);
+			if (format === "ndjson") {
+				printNdjson(error.report);
+			}
+		} else {
+			logger.error(error.message);
 		}
-
-		selectedExports = exportsFromPrompt;
-	}
-
-	const { dependencies: selectedDependencies } = await prompt([
-		{
-			type: "multiselect",
-			name: "dependencies",
-			message: "Which dependencies do you want to include?",
-			choices: deps.map((dependency) => ({
-				title: dependency,
-				value: dependency,
-			})),
-		},
-	]);
-
-	if (!selectedDependencies) {
-		throw new Error("Cancelled");
 	}
+}
 
-	logger.start(loggerText);
+if (flags.workspaces) {
+	sortReports(reports, flags.sort);
+}
 
-	return { selectedExports, selectedDependencies };
+if (format === "ndjson") {
+	// every report is printed as soon as its package is measured
+} else if (format === "markdown") {
+	printMarkdown(reports, flags);
+} else if (format === "csv") {
+	printCsv(reports, flags);
+} else if (checks) {
+	printChecks(
+		reports,
+		flags,
+		new Map(checks.map((check) => [check.name, check.flags])),
+	);
+} else if (flags.workspaces) {
+	printSummary(reports, flags);
+} else if (isHistory) {
+	printHistory(
+		packages[0].packageName,
+		reports,
+		findLargestIncrease(reports),
+		flags,
+	);
+} else if (
+	packages.length > 1 ||
+	flags.allConditions ||
+	flags.bundler === "all"
+) {
+	printComparison(reports, flags);
+} else if (reports.length) {
+	printResults(reports[0], flags);
 }
 
-function printResults() {
-	if (flags.json) {
-		const result = {
-			metadata: {
-				name: packageName,
-				version: packageVersion,
-			},
-			exports,
-			includedExports: exportsData.map((data) => ({
-				export: data.export,
-				defaultExport: data.hasDefaultExport,
-			})),
-			results: [...results],
-			composition: [...compositionMap.entries()],
-		};
-		console.log(JSON.stringify(result, null, 2));
-		return;
+if (flags.html && reports.length) {
+	try {
+		await writeHtmlReport(flags.html, reports);
+	} catch (/** @type {any} */ error) {
+		failed = true;
+		logger.error(`Cannot write HTML report ${flags.html}: ${error.message}`);
 	}
+}
 
-	const options = [{ paddingRight: 4 }, { paddingRight: 4 }, {}];
+if (failed) {
+	process.exit(1);
+}
 
-	console.log();
+if (
+	reports.some((report) =>
+		report.budgets?.some((budget) => budget.status === "fail"),
+	)
+) {
+	process.exit(budgetExceededExitCode);
+}
 
-	console.log(formatColumns([...results].map(formatResult), options));
+// high level functions
 
-	if (exportsData.length) {
-		console.log();
-		if (exportsData.length === 1) {
-			console.log(
-				`Exports:${` ${exportsData[0].export} ${exportsData[0].hasDefaultExport ? gray("(default export)") : ""}`}`,
-			);
-		} else {
-			console.log(underline("Exports:"));
-			console.log();
-			console.log(
-				formatColumns(
-					exportsData.map((data) => [
-						data.export,
-						data.hasDefaultExport
-							? green("default export")
-							: blue("no default export"),
-					]),
-					[{ paddingRight: 4 }, { paddingRight: 4 }],
-				),
-			);
-		}
+/**
+ * @param {string} path
+ */
+async function readBaseline(path) {
+	/** @type {import('./lib/measure.js').Report[]} */
+	let baselines = [];
+	try {
+		baselines = getSavedReports(JSON.parse(await readFile(path, "utf8")));
+	} catch (/** @type {any} */ error) {
+		console.error(`Cannot read baseline report ${path}: ${error.message}`);
+		process.exit(1);
 	}
-
-	if (compositionMap.size) {
-		console.log();
-		console.log(underline("Composition:"));
-		console.log();
-		const tableData = [];
-		const data = [...compositionMap.entries()];
-		const firstRow = data.filter((row) => row[0] === packageName);
-		const rest = data.filter((row) => row[0] !== packageName);
-		const compositionMapSorted = rest.sort((a, b) => b[1] - a[1]);
-		if (firstRow.length) {
-			const sizes = formatSize(firstRow[0][1]);
-			tableData.push([
-				green(firstRow[0][0]) + gray(" (self)"),
-				sizes[0],
-				sizes[1],
-			]);
-		}
-		for (const [pkgName, size] of compositionMapSorted) {
-			const sizes = formatSize(size);
-			tableData.push([green(pkgName), sizes[0], sizes[1]]);
-		}
-		console.log(formatColumns(tableData, options));
+	if (!baselines.length) {
+		console.error(`No pkgsz reports found in ${path}`);
+		process.exit(1);
 	}
+	return baselines;
 }
 
-function calculateDistSize() {
-	return wrapWithLogger(async () => {
-		const files = await filesInDir(join(dirName, "dist"));
-		const dirCompressedResults = await dirCompressedSize(
-			files,
-			/** @type {CompressionMethod[]} */ (
-				[
-					"none",
-					flags.noGzip ? null : "gzip",
-					flags.brotli ? "brotli" : null,
-				].filter(Boolean)
-			),
-		);
-		if (
-			"none" in dirCompressedResults &&
-			typeof dirCompressedResults.none === "number"
-		) {
-			results.add({
-				id: "sizeMinified",
-				value: dirCompressedResults.none,
-				unit: "bytes",
-			});
-		}
-		if (
-			!flags.noGzip &&
-			"gzip" in dirCompressedResults &&
-			typeof dirCompressedResults.gzip === "number"
-		) {
-			results.add({
-				id: "sizeMinifiedGzipped",
-				value: dirCompressedResults.gzip,
-				unit: "bytes",
-			});
-		}
-		if (
-			flags.brotli &&
-			"brotli" in dirCompressedResults &&
-			typeof dirCompressedResults.brotli === "number"
-		) {
-			results.add({
-				id: "sizeMinifiedBrotli",
-				value: dirCompressedResults.brotli,
-				unit: "bytes",
-			});
-		}
-	}, "Calculating sizes / finalizing");
-}
-
-async function exploreSourcemaps() {
-	return wrapWithLogger(async () => {
-		const result = await execEx(
-			`"${process.execPath}" "${smeBin}" dist/**/*.mjs --json`,
-			{ cwd: dirName },
-		);
-		const json = JSON.parse(result);
-		if ("results" in json && Array.isArray(json.results)) {
-			for (const results of json.results) {
-				for (const [key, result] of Object.entries(results.files)) {
-					if (result.size === 0) {
-						continue;
-					}
-					const nodeModulesPrefix = "../node_modules/";
-					let pkgName = key;
-					if (key.startsWith(nodeModulesPrefix)) {
-						const mapped = key.substring(nodeModulesPrefix.length);
-						const parts = mapped.split("/");
-						pkgName = parts[0];
-						if (parts[0].startsWith("@") && parts.length > 1) {
-							pkgName += `/${parts[1]}`;
-						}
-					} else if (key === "[sourceMappingURL]") {
-						continue;
-					}
-					if (!compositionMap.has(pkgName)) {
-						compositionMap.set(pkgName, result.size);
-					} else {
-						compositionMap.set(
-							pkgName,
-							compositionMap.get(pkgName) + result.size,
-						);
-					}
-				}
-			}
-		}
-	}, "Exploring sourcemaps", false);
-}
-
-async function prunePackage() {
-	return wrapWithLogger(async () => {
-		await execEx(`"${process.execPath}" "${pkgbldBin}" prune --removeSourcemaps`, { cwd: dirName });
-	}, "Pruning package");
+/**
+ * Errors of the flags packages are measured with
+ * @param {any} flags
+ * @returns {string[]}
+ */
+function validateMeasureFlags(flags) {
+	return [
+		...validateExports(flags.export),
+		...validateImports(flags),
+		...validateComposition(flags),
+		...validateBudgets(flags),
+		...validatePackageManager(flags),
+		...validateCache(flags),
+		...validateBundler(flags),
+	];
 }
 
 /**
- * @param {string[]} pkgExports
- * @param {{ export: string, import: string, hasDefaultExport: boolean }[]} exportsData
- * @param {string[] | undefined} dependencies
+ * Values of a check override the defaults of the command line, flags given on the command line override both
+ * @param {Record<string, import('./lib/config.js').OptionDefinition>} options
+ * @param {Record<string, unknown>} overrides
  */
-async function buildPackage(pkgExports, exportsData, dependencies = undefined) {
-	return wrapWithLogger(async () => {
-		if (pkgExports.length) {
-			logger.log(`Found subpath exports: ${green(pkgExports.join(", "))}`);
-			logger.log();
-			logger.log(
-				yellow(
-					`Note: Building ${exportsData.length === 1 && exportsData[0].import === packageName ? "root package export" : `subpath exports: ${exportsData.map((data) => green(data.export)).join(", ")}`}`,
-				),
-			);
-			logger.log();
-		}
-
-		await Promise.all(
-			getCode(exportsData).map((data, index) =>
-				writeFile(
-					join(
-						dirName,
-						"src",
-						data.exportName === "." ? "index.js" : `${String(index)}.mjs`,
-					),
-					data.code,
-				),
-			),
-		);
-
-		packageJson.exports = exportsData
-			.map((data) => data.export)
-			.reduce(
-				(acc, exportName, currentIndex) => {
-					acc[`./${exportName === "." ? "" : String(currentIndex)}`] =
-						`./src/${exportName === "." ? "index.js" : `${String(currentIndex)}.mjs`}`;
-					return acc;
-				},
-				/** @type {Record<string, string>} */ ({}),
-			);
-
-		packageJson.main = undefined;
-
-		await writeFile(
-			join(dirName, "package.json"),
-			JSON.stringify(packageJson, null, 2),
-		);
-
-		const command = getCliString();
-
-		await execEx(command, { cwd: dirName }, true);
-	}, "Building package");
-
-	function getCliString() {
-		return `"${process.execPath}" "${pkgbldBin}" --sourcemaps=es --no-ts-config --no-update-package-json --no-clean --formats=es --compress=es --remove-legal-comments --includeExternals${dependencies ? `=${dependencies.join(",")}` : ""}`;
+async function readChecks(options, overrides) {
+	try {
+		const checks = await loadChecks(flags.check, options, process.cwd());
+		return checks.map((check) => ({
+			...check,
+			flags: { ...flags, ...check.flags, ...overrides },
+		}));
+	} catch (/** @type {any} */ error) {
+		console.error(error.message);
+		process.exit(1);
 	}
 }
 
 /**
- * @param {{ export: string, import: string, hasDefaultExport: boolean }[]} exportsData
+ * @param {{ name: string, package: string, version?: string, flags: any, configFile: string }[]} checks
  */
-function getCode(exportsData) {
-	return exportsData.map((exportData) => {
-		const {
-			export: exportName,
-			import: importName,
-			hasDefaultExport,
-		} = exportData;
-		const result = [];
-		if (hasDefaultExport) {
-			result.push(`export { default } from '${importName}';`);
-		}
-		result.push(`export * from '${importName}';`);
-		return { exportName, code: result.join("\n") };
-	});
+function getCheckTargets(checks) {
+	return checks.map((check) => ({
+		...(check.version
+			? { packageName: check.package, version: check.version }
+			: parsePackageSpec(check.package)),
+		check,
+	}));
 }
 
 /**
- * @param {string[]} exports
- * @returns {Promise<{ export: string, import: string, hasDefaultExport: boolean }[]>}
+ * Every package of the workspace in the current directory is measured from its directory with the subpaths of its exports map
+ * @returns {Promise<{ packageName: string, version: undefined, exports: string[] }[]>}
  */
-async function getExportsData(exports) {
-	return wrapWithLogger(async () => {
-		const packageExports = exports
-			.map((exportName) =>
-				exportName.startsWith("./")
-					? exportName.substring(2)
-					: exportName === "."
-						? exportName
-						: undefined,
-			)
-			.filter(Boolean)
-			.map((exportName) => ({
-				import: `${packageName}${exportName === "." ? "" : `/${exportName}`}`,
-				export: /** @type {string} */ (exportName),
-			}));
-
-		const data = [];
-
-		for (const packageExport of packageExports) {
-			data.push({
-				...packageExport,
-				hasDefaultExport: await hasDefaultExport(packageExport.import),
-			});
+async function getWorkspaceTargets() {
+	try {
+		const workspacePackages = await findWorkspacePackages(process.cwd(), {
+			includePrivate: flags.includePrivate,
+		});
+		if (!workspacePackages.length) {
+			throw new Error("No packages to measure in the workspace");
 		}
-
-		return data;
-	}, "Resolving exports");
+		return workspacePackages.map((workspacePackage) => ({
+			packageName: workspacePackage.path,
+			version: undefined,
+			exports: workspacePackage.exports,
+		}));
+	} catch (/** @type {any} */ error) {
+		logger.error(error.message);
+		process.exit(1);
+	}
 }
 
 /**
- * @param {string} importName
- * @returns {Promise<boolean>}
+ * @returns {Promise<{ packageName: string, version: string | undefined }[]>}
  */
-async function hasDefaultExport(importName) {
-	return wrapWithLogger(async () => {
-		try {
-			await writeFile(
-				join(dirName, "src", "index.js"),
-				`import $index from '${importName}';`,
-			);
+async function getHistoryTargets() {
+	const { packageName } = packages[0];
+	const last = flags.last === undefined ? undefined : Number(flags.last);
 
-			const errors = await execEx(
-				`"${process.execPath}" "${pkgbldBin}" --no-ts-config --no-update-package-json --formats=es --includeExternals`,
-				{ cwd: dirName },
-				true,
-				false,
-			);
+	if (packages.length > 1 || isLocalPackage(packageName)) {
+		logger.error(
+			"Size history can be measured for a single published package only",
+		);
+		process.exit(1);
+	}
 
-			return !errors.includes('"default" is not exported by');
-		} catch (e) {
-			logger.log(e);
-			return false;
-		}
-	}, "Checking for default export");
-}
+	if (last !== undefined && (!Number.isInteger(last) || last < 1)) {
+		logger.error(`--last must be a positive integer: ${flags.last}`);
+		process.exit(1);
+	}
 
-/**
- * @returns {Promise<{ exports: string[], version: string, deps: string[] }>}
- */
-async function resolvePackageJson() {
 	try {
-		return await wrapWithLogger(
-			async () => {
-				const url = `console.log(import.meta.resolve(\\"${packageName}\\"));`;
-				const fileUrl = await execEx(`node --input-type=module -e "${url}"`, {
-					cwd: dirName,
-				});
-				const path = fileURLToPath(fileUrl);
-				const packageUp = await readPackageUp({ cwd: path });
-				const pkg = packageUp?.packageJson;
-				if (!packageUp?.path.replaceAll("\\", "/").includes(packageName)) {
-					throw new Error(`Cannot find package.json for ${packageName}`);
-				}
-				const exports = [];
-				if (
-					pkg &&
-					"exports" in pkg &&
-					typeof pkg.exports === "object" &&
-					pkg.exports !== null
-				) {
-					exports.push(
-						...Object.keys(pkg.exports).filter((exp) => exp.startsWith(".")),
-					);
-				}
-				const version = String(pkg?.version);
-
-				const dependenciesJson = await execEx("npm list --all --json", {
-					cwd: dirName,
-				});
-				const dependenciesFullParsed = JSON.parse(dependenciesJson);
-				/** @type {string[]} */
-				const deps = collectDependencyKeys(dependenciesFullParsed);
-				return { exports, version, deps };
-			},
-			"Resolving package.json",
-			false,
-		);
-	} catch {
-		return { exports: [], version: "<unknown>", deps: [] };
+		logger.start("Resolving versions... ");
+		const versions = await resolveVersions(packageName, {
+			versions: flags.versions,
+			last,
+			registry: flags.registry,
+			npmrc: flags.npmrc,
+		});
+		if (!versions.length) {
+			throw new Error(`No versions of ${packageName} match ${flags.versions}`);
+		}
+		return versions.map((version) => ({ packageName, version }));
+	} catch (/** @type {any} */ error) {
+		logger.fail(`Resolving versions... (failed)\n${error.message}`);
+		process.exit(1);
 	}
 }
 
 /**
- * Recursively collects all keys from any "dependencies" objects in the tree.
- * Replaces jsonata("[$keys(**.dependencies)]").evaluate(obj)
- * @param {Record<string, any>} obj
- * @returns {string[]}
+ * `--bundler all` measures every target with every bundler
+ * @param {{ packageName: string, version: string | undefined, conditions?: string[], check?: { name: string, flags: any, configFile: string }, exports?: string[] }[]} targets
+ * @returns {{ packageName: string, version: string | undefined, conditions?: string[], bundler?: import('./lib/bundlers.js').BundlerName, check?: { name: string, flags: any, configFile: string }, exports?: string[] }[]}
  */
-function collectDependencyKeys(obj) {
-	/** @type {Set<string>} */
-	const keys = new Set();
-	(function walk(node) {
-		if (node && typeof node === "object" && !Array.isArray(node)) {
-			if (node.dependencies && typeof node.dependencies === "object") {
-				for (const key of Object.keys(node.dependencies)) {
-					keys.add(key);
-				}
-			}
-			for (const value of Object.values(node)) {
-				walk(value);
-			}
-		}
-	})(obj);
-	return [...keys];
-}
+function getBundlerTargets(targets) {
+	if (flags.bundler !== "all") {
+		return targets;
+	}
+
+	if (isHistory) {
+		logger.error("Bundlers cannot be compared in size history");
+		process.exit(1);
+	}
 
-function calculateNodeModulesSize() {
-	deferred.push(
-		(async () => {
-			const files = await filesInDir(join(dirName, "node_modules"));
-			const size = await dirSize(files);
-			results.add({ id: "nodeModulesSize", value: size, unit: "bytes" });
-			results.add({
-				id: "nodeModulesFiles",
-				value: files.length,
-				unit: "count",
-			});
-		})(),
+	return targets.flatMap((target) =>
+		bundlerNames.map((bundler) => ({ ...target, bundler })),
 	);
 }
 
 /**
- * @returns {Record<string, any>}
+ * One target per condition declared by the root export, the first one is measured with the default conditions only
+ * @returns {Promise<{ packageName: string, version: string | undefined, conditions: string[] }[]>}
  */
-function createPackageJson() {
-	return {
-		main: "dist/index.js",
-		dependencies: {
-			[packageName]: version ?? "*",
-		},
-	};
-}
+async function getConditionTargets() {
+	const { packageName, version } = packages[0];
 
-function installPackage() {
-	return wrapWithLogger(async () => {
-		await writeFile(
-			join(dirName, "package.json"),
-			JSON.stringify(packageJson, null, 2),
+	if (packages.length > 1 || isLocalPackage(packageName)) {
+		logger.error(
+			"Export conditions can be compared for a single published package only",
 		);
+		process.exit(1);
+	}
 
-		await execEx(
-			`npm i --no-audit --no-fund --no-update-notifier --no-progress ${flags.enableScripts ? "" : "--ignore-scripts"} ${flags.registry ? `--registry=${flags.registry}` : ""}`,
-			{ cwd: dirName },
-		);
-	}, "Installing package");
-}
-
-function createDirs() {
-	return wrapWithLogger(async () => {
-		const dirName = await mkdtemp(join(tmpdir(), "pkgsz-"));
-
-		if (!flags.noClean) {
-			cleanup.push(() => rm(dirName, { recursive: true, force: true }));
-		} else {
-			cleanup.push(() => {
-				logger.log("Cleanup disabled, directory is left at: ", dirName);
-			});
-		}
-
-		await mkdir(join(dirName, "src"), { recursive: true });
+	const userConditions = flags.conditions
+		? flags.conditions.split(",").filter(Boolean)
+		: [];
 
-		return dirName;
-	}, "Creating temporary directories");
+	try {
+		logger.start("Resolving export conditions... ");
+		const declared = await resolveDeclaredConditions(packageName, {
+			version,
+			registry: flags.registry,
+			npmrc: flags.npmrc,
+		});
+		return [
+			[],
+			...declared
+				.filter((condition) => !defaultConditions.includes(condition))
+				.map((condition) => [condition]),
+		].map((conditions) => ({
+			packageName,
+			version,
+			conditions: [...userConditions, ...conditions],
+		}));
+	} catch (/** @type {any} */ error) {
+		logger.fail(`Resolving export conditions... (failed)\n${error.message}`);
+		process.exit(1);
+	}
 }
 
 async function getCliArgs() {
 	const pkg = await readPackageJson(import.meta.url);
 
+	// kept aside to tell the options given on the command line from the defaults
+	/** @satisfies {Record<string, import('./lib/config.js').OptionDefinition>} */
+	const options = {
+		registry: {
+			type: "string",
+			short: "r",
+			description: "The npm registry to use when installing the package",
+		},
+		npmrc: {
+			type: "string",
+			description:
+				"The .npmrc file with registries and auth tokens (the one of the current project by default)",
+		},
+		packageManager: {
+			type: "string",
+			description: "Package manager used to install the package (npm, pnpm, yarn or bun)",
+			default: "npm",
+		},
+		export: {
+			type: "string",
+			short: "e",
+			multiple: true,
+			description: "Reexport given subpath from the package",
+			default: ["."],
+		},
+		import: {
+			type: "string",
+			multiple: true,
+			description:
+				"Measure only the given named imports (e.g. debounce,throttle or ./fp:map,filter)",
+		},
+		noGzip: {
+			type: "boolean",
+			short: "g",
+			description: "Do not calculate gzipped size",
+			default: false,
+		},
+		brotli: {
+			type: "boolean",
+			short: "b",
+			description: "Calculate brotli compressed size",
+			default: false,
+		},
+		noClean: {
+			type: "boolean",
+			short: "c",
+			description: "Do not clean the temporary directory",
+			default: false,
+		},
+		cacheDir: {
+			type: "string",
+			description: "Directory of the install and report cache (~/.cache/pkgsz by default)",
+		},
+		noCache: {
+			type: "boolean",
+			description: "Do not use the cache",
+			default: false,
+		},
+		offline: {
+			type: "boolean",
+			description: "Measure from the cache only, without network access",
+			default: false,
+		},
+		clearCache: {
+			type: "boolean",
+			description: "Remove the cache directory and exit",
+			default: false,
+		},
+		enableScripts: {
+			type: "boolean",
+			short: "s",
+			description: "Enable scripts",
+			default: false,
+		},
+		interactive: {
+			type: "boolean",
+			short: "i",
+			description: "Interactive mode",
+			default: false,
+		},
+		json: {
+			type: "boolean",
+			short: "j",
+			description: "Output results as JSON",
+			default: false,
+		},
+		format: {
+			type: "string",
+			description: "Output format: text (default), json, markdown, csv or ndjson",
+		},
+		rawBytes: {
+			type: "boolean",
+			description: "Print sizes in bytes instead of KiB / MiB in markdown and csv formats",
+			default: false,
+		},
+		composition: {
+			type: "string",
+			description: "Composition mode: packages (default) or files",
+		},
+		html: {
+			type: "string",
+			description: "Write a self-contained HTML report with a treemap of the composition",
+		},
+		top: {
+			type: "string",
+			description: "Number of the largest files shown per package with --composition files (default: 5)",
+		},
+		maxMinified: {
+			type: "string",
+			description: "Fail when the minified size exceeds the budget (e.g. 40KiB)",
+		},
+		maxGzip: {
+			type: "string",
+			description: "Fail when the minified + gzip size exceeds the budget",
+		},
+		maxBrotli: {
+			type: "string",
+			description: "Fail when the minified + brotli size exceeds the budget",
+		},
+		maxNodeModules: {
+			type: "string",
+			description: "Fail when the node_modules size exceeds the budget",
+		},
+		maxNodeModulesFiles: {
+			type: "string",
+			description: "Fail when node_modules has more files than the budget",
+		},
+		baseline: {
+			type: "string",
+			description: "Print the difference with a report saved earlier with --json",
+		},
+		versions: {
+			type: "string",
+			description: "Measure every version matching the semver range",
+		},
+		last: {
+			type: "string",
+			description: "Measure the given number of the latest stable versions",
+		},
+		conditions: {
+			type: "string",
+			description:
+				"Export conditions used to resolve the package (e.g. browser,production)",
+		},
+		allConditions: {
+			type: "boolean",
+			description: "Compare the sizes of every condition declared by the package",
+			default: false,
+		},
+		plugin: {
+			type: "string",
+			multiple: true,
+			description: "Rollup plugin to build with, a module name or a path (e.g. rollup-plugin-svelte)",
+		},
+		bundler: {
+			type: "string",
+			description: "Bundler used to build the package: rollup (default), esbuild, webpack or all to compare them",
+		},
+		tarball: {
+			type: "boolean",
+			description: "Measure the published tarball: packed and unpacked size, file count and the largest files",
+			default: false,
+		},
+		sideEffects: {
+			type: "boolean",
+			description: "Measure an import of the package with nothing used and compare it with the sideEffects field",
+			default: false,
+		},
+		config: {
+			type: "boolean",
+			description: "Run every check of pkgsz.config.js, pkgsz.config.json or the pkgsz field of package.json",
+			default: false,
+		},
+		check: {
+			type: "string",
+			multiple: true,
+			description: "Run the named check of the config",
+		},
+		workspaces: {
+			type: "boolean",
+			description: "Measure every package of the workspace in the current directory",
+			default: false,
+		},
+		includePrivate: {
+			type: "boolean",
+			description: "Measure private packages of the workspace as well",
+			default: false,
+		},
+		sort: {
+			type: "string",
+			description: "Sort the packages of the workspace: name, minified, gzip, brotli or node-modules",
+		},
+	};
+
 	const argv = parseArgsPlus(
 		{
 			name: "pkgsz",
 			version: pkg.version,
 			description: pkg.description,
 			parameters: ["<package name>", "[version]"],
-			options: {
-				registry: {
-					type: "string",
-					short: "r",
-					description: "The npm registry to use when installing the package",
-				},
-				export: {
-					type: "string",
-					short: "e",
-					multiple: true,
-					description: "Reexport given subpath from the package",
-					default: ["."],
-				},
-				noGzip: {
-					type: "boolean",
-					short: "g",
-					description: "Do not calculate gzipped size",
-					default: false,
-				},
-				brotli: {
-					type: "boolean",
-					short: "b",
-					description: "Calculate brotli compressed size",
-					default: false,
-				},
-				noClean: {
-					type: "boolean",
-					short: "c",
-					description: "Do not clean the temporary directory",
-					default: false,
-				},
-				enableScripts: {
-					type: "boolean",
-					short: "s",
-					description: "Enable scripts",
-					default: false,
-				},
-				interactive: {
-					type: "boolean",
-					short: "i",
-					description: "Interactive mode",
-					default: false,
-				},
-				json: {
-					type: "boolean",
-					short: "j",
-					description: "Output results as JSON",
-					default: false,
-				},
-			},
+			options,
 			helpSections: {
 				examples: {
 					title: "Examples",
-					text: ["npx pkgsz lodash", "npx pkgsz lodash 4.17.21", "npx pkgsz lodash@4.17.21"],
+					text: [
+						"npx pkgsz lodash",
+						"npx pkgsz lodash 4.17.21",
+						"npx pkgsz react next",
+						"npx pkgsz lodash@4.17.21",
+						"npx pkgsz lodash-es remeda dayjs@1.11.10",
+						"npx pkgsz ./packages/ui",
+						"npx pkgsz ./ui-1.2.0.tgz",
+						"npx pkgsz lodash-es --import debounce,throttle",
+						"npx pkgsz lodash-es --max-gzip 12KiB --max-node-modules 2MiB",
+						"npx pkgsz date-fns --composition files --top 10",
+						"npx pkgsz date-fns --html report.html",
+						"npx pkgsz lodash-es --baseline previous.json",
+						"npx pkgsz lodash-es --format markdown",
+						"npx pkgsz lodash-es preact --format csv --raw-bytes",
+						'npx pkgsz react --versions ">=17 <19"',
+						"npx pkgsz react --last 10",
+						"npx pkgsz preact --conditions browser,production",
+						"npx pkgsz preact --all-conditions",
+						"npx pkgsz preact --bundler esbuild",
+						"npx pkgsz preact --bundler all",
+						"npx pkgsz svelte-select --plugin rollup-plugin-svelte",
+						"npx pkgsz lodash-es --package-manager pnpm",
+						"npx pkgsz lodash-es --tarball",
+						"npx pkgsz date-fns --side-effects",
+						"npx pkgsz @acme/ui --npmrc ~/work/.npmrc",
+						"npx pkgsz lodash-es@4.17.21 --offline",
+						"npx pkgsz --config",
+						"npx pkgsz --check ui-core --max-gzip 20KiB",
+						"npx pkgsz --workspaces --sort gzip",
+					],
 				},
 			},
 		},
@@ -692,328 +656,166 @@ async function getCliArgs() {
 		process.exit(1);
 	}
 
-	let pkgName = argv.parameters.packageName;
-	let pkgVersion = argv.parameters.version;
+	if (
+		argv.values.format !== undefined &&
+		argv.values.format !== "text" &&
+		argv.values.interactive
+	) {
+		logger.error("Cannot use --format and --interactive flags together");
+		process.exit(1);
+	}
 
-	// Support pkgName@version syntax (e.g., lodash@4.17.21 or @scope/name@1.0.0)
-	if (!pkgVersion && pkgName) {
-		const atIndex = pkgName.indexOf('@', pkgName.startsWith('@') ? 1 : 0);
-		if (atIndex > 0) {
-			pkgVersion = pkgName.slice(atIndex + 1);
-			pkgName = pkgName.slice(0, atIndex);
-		}
+	if (argv.values.versions !== undefined && argv.values.last !== undefined) {
+		logger.error("Cannot use --versions and --last flags together");
+		process.exit(1);
 	}
 
-	return {
-		version: pkgVersion,
-		packageName: pkgName,
-		flags: argv.values,
-	};
-}
+	const positionals = argv.positionals;
 
-/** @param {string[]} exports */
-function validateExports(exports) {
-	/**@type {string[]} */
-	const exportsErrors = [];
+	if (argv.values.clearCache) {
+		if (positionals.length) {
+			logger.error("Cannot use packages together with --clear-cache flag");
+			process.exit(1);
+		}
+		return { packages: [], flags: argv.values };
+	}
 
-	for (const exportName of exports) {
-		if (exportName.includes("*")) {
-			exportsErrors.push(`Wildcards are not supported: ${exportName}`);
+	if (argv.values.workspaces) {
+		const given = getGivenFlags(argv.values, options);
+		if (
+			positionals.length ||
+			argv.values.config ||
+			argv.values.check ||
+			given.export ||
+			given.import
+		) {
+			logger.error(
+				"Cannot use packages, --config, --check, --export or --import together with --workspaces flag",
+			);
+			process.exit(1);
 		}
-		if (!exportName.startsWith(".")) {
-			exportsErrors.push(`Exports must start with a dot: ${exportName}`);
+		if (
+			argv.values.versions !== undefined ||
+			argv.values.last !== undefined ||
+			argv.values.allConditions
+		) {
+			logger.error(
+				"Workspaces cannot be measured with --versions, --last or --all-conditions flags",
+			);
+			process.exit(1);
 		}
+		return { packages: [], flags: argv.values };
 	}
 
-	if (exportsErrors.length) {
-		console.error(exportsErrors.join("\n"));
-		process.exit(1);
+	if (argv.values.config || argv.values.check) {
+		if (positionals.length) {
+			logger.error(
+				"Cannot use packages together with --config or --check flags",
+			);
+			process.exit(1);
+		}
+		if (
+			argv.values.versions !== undefined ||
+			argv.values.last !== undefined ||
+			argv.values.allConditions
+		) {
+			logger.error(
+				"Checks cannot be measured with --versions, --last or --all-conditions flags",
+			);
+			process.exit(1);
+		}
+		return {
+			packages: [],
+			flags: argv.values,
+			options,
+			overrides: getGivenFlags(argv.values, options),
+		};
 	}
-}
-
-/**
- * @param {number} code
- * @returns {Promise<never>}
- */
-async function exitAndReport(code) {
-	await Promise.all(deferred);
-	printResults();
-	await Promise.all(cleanup.map((fn) => fn()));
-	process.exit(code);
-}
 
-// low level functions
-
-/**
- * @param {string[]} paths
- */
-async function dirSize(paths) {
-	return (
-		await Promise.all(
-			paths.map(async (path) => {
-				const { size } = await stat(path);
-
-				return size;
-			}),
-		)
-	).reduce((i, size) => i + size, 0);
-}
+	if (!positionals.length) {
+		logger.error("Missing package name, see --help for usage");
+		process.exit(1);
+	}
 
-/**
- * @param {string[]} paths
- * @param {CompressionMethod[]} methods
- */
-async function dirCompressedSize(paths, methods) {
-	const methodsSet = new Set(methods);
-	if (methodsSet.has("none") && methodsSet.size === 1) {
+	// `pkgsz <package name> <version>` is kept for compatibility, otherwise every parameter is a package
+	if (
+		positionals.length === 2 &&
+		isVersionParameter(positionals[0], positionals[1])
+	) {
+		const { packageName } = parsePackageSpec(positionals[0]);
 		return {
-			none: await dirSize(paths),
+			packages: [{ packageName, version: positionals[1] }],
+			flags: argv.values,
 		};
 	}
-	/** @type {Partial<Record<CompressionMethod, number>>} */
-	const results = {};
-	for (const method of methodsSet) {
-		results[method] = 0;
-	}
-	await Promise.all(
-		paths.map(async (path) => {
-			const fileContent = await readFile(path);
-			if (methodsSet.has("none")) {
-				/** @type {number} */
-				(results.none) += fileContent.length;
-			}
-			if (methodsSet.has("gzip")) {
-				const { length } = await gzipAsync(fileContent, {
-					level: constants.Z_BEST_COMPRESSION,
-				});
-				/** @type {number} */
-				(results.gzip) += length;
-			}
-			if (methodsSet.has("brotli")) {
-				const { length } = await brotliAsync(fileContent, {
-					params: {
-						[constants.BROTLI_PARAM_QUALITY]: constants.BROTLI_MAX_QUALITY,
-					},
-				});
-				/** @type {number} */
-				(results.brotli) += length;
-			}
-		}),
-	);
-	return results;
-}
 
-/**
- * @param {string} dir
- */
-async function filesInDir(dir) {
-	const dirEntries = await readdir(dir, {
-		recursive: true,
-		withFileTypes: true,
-	});
-	return dirEntries
-		.filter((entry) => entry.isFile())
-		.map((entry) => join(entry.parentPath, entry.name));
-}
-
-/**
- * @param {string} str
- */
-function stripAnsi(str) {
-	return str.replace(ansiRegex, "");
+	return {
+		packages: positionals.map(parsePackageSpec),
+		flags: argv.values,
+	};
 }
 
 /**
- * @param {string[][]} rows
- * @param {{ paddingRight?: number }[]} columnOptions
+ * Flags given on the command line, they override the values of the checks, the defaults do not
+ * @param {Record<string, unknown>} values
+ * @param {Record<string, import('./lib/config.js').OptionDefinition>} options
  */
-function formatColumns(rows, columnOptions) {
-	if (rows.length === 0) return "";
-	const colCount = Math.max(...rows.map((row) => row.length));
-	const colWidths = Array.from({ length: colCount }, (_, colIndex) => {
-		let max = 0;
-		for (const row of rows) {
-			if (colIndex < row.length) {
-				const visible = stripAnsi(row[colIndex]).length;
-				if (visible > max) max = visible;
-			}
-		}
-		return max;
+function getGivenFlags(values, options) {
+	const shorts = new Map(
+		Object.entries(options).flatMap(([name, { short }]) =>
+			short ? [[short, name]] : [],
+		),
+	);
+	const { tokens } = parseArgs({
+		args: process.argv.slice(2),
+		strict: false,
+		tokens: true,
 	});
-	return rows
-		.map((row) =>
-			row
-				.map((cell, colIndex) => {
-					const padding = columnOptions[colIndex]?.paddingRight ?? 0;
-					const visible = stripAnsi(cell).length;
-					const targetWidth = colWidths[colIndex] + padding;
-					return cell + " ".repeat(Math.max(0, targetWidth - visible));
-				})
-				.join("")
-				.trimEnd(),
-		)
-		.join("\n");
-}
-
-/**
- * @param {Result} result
- */
-function formatResult(result) {
-	const caption = resultCaptions[result.id];
-	if (result.unit === "bytes") {
-		return [caption, ...formatSize(result.value)];
-	}
-	return [caption, String(result.value), ""];
+	const given = new Set(
+		tokens.flatMap((token) =>
+			token.kind === "option"
+				? [
+						shorts.get(token.name) ??
+							token.name.replace(/-(\w)/g, (_, char) => char.toUpperCase()),
+					]
+				: [],
+		),
+	);
+	return Object.fromEntries(
+		Object.entries(values).filter(([name]) => given.has(name)),
+	);
 }
 
 /**
- * @param {number} size
+ * Supports pkgName@version syntax (e.g., lodash@4.17.21 or @scope/name@1.0.0)
+ * @param {string} spec
+ * @returns {{ packageName: string, version: string | undefined }}
  */
-function formatSize(size) {
-	if (size < 1024) {
-		return [`${cyan(size)} bytes`, ""];
+function parsePackageSpec(spec) {
+	if (isLocalPackage(spec)) {
+		return { packageName: spec, version: undefined };
 	}
-
-	if (size < 1024 * 1024) {
-		return [`${cyan((size / 1024).toFixed(2))} KiB`, `(${size} bytes)`];
-	}
-
-	return [`${cyan((size / 1024 / 1024).toFixed(2))} MiB`, `(${size} bytes)`];
-}
-
-/**
- * @param {string} command
- * @param {import('node:child_process').ExecOptions} options
- * @param {boolean} [returnStderr]
- * @param {boolean} [debugPrint]
- */
-async function execEx(
-	command,
-	options,
-	returnStderr = false,
-	debugPrint = true,
-) {
-	try {
-		const result = await execAsync(command, options);
-		if (debugPrint && result.stderr) {
-			logger.log(result.stderr);
-		}
-		return result[returnStderr ? "stderr" : "stdout"].toString();
-	} catch (/** @type {any} */ e) {
-		throw new Error(e.stderr);
+	const atIndex = spec.indexOf("@", spec.startsWith("@") ? 1 : 0);
+	if (atIndex > 0) {
+		return {
+			packageName: spec.slice(0, atIndex),
+			version: spec.slice(atIndex + 1),
+		};
 	}
+	return { packageName: spec, version: undefined };
 }
 
 /**
- * @template T
- * @param {() => Promise<T>} fn
- * @param {string} message
- * @param {boolean} [fatal]
- * @returns {Promise<T>}
+ * The second of two parameters is a version, a range or a dist-tag (`pkgsz react next`),
+ * a second package is told apart by a scope, a version of its own or a local path
+ * @param {string} first
+ * @param {string} second
  */
-async function wrapWithLogger(fn, message, fatal = true) {
-	try {
-		logger.start(`${message}... `);
-		return await fn();
-	} catch (/** @type {any} */ error) {
-		const text = `${message} (failed)`;
-		if (fatal) {
-			logger.fail(`${text}\n${error.message}`);
-			return await exitAndReport(1);
-		}
-		logger.error(text, error);
-		throw error;
-	}
-}
-
-function createLogger() {
-	/** @type {ReturnType<typeof createNicetiesLogger> | undefined} */
-	let nicetiesLogger;
-	let quiet = false;
-	let currentText = "";
-	let started = false;
-	return {
-		/**
-		 * @param {string} message
-		 */
-		start(message) {
-			currentText = message;
-			if (quiet) return;
-			if (!started) {
-				nicetiesLogger = createNicetiesLogger();
-				nicetiesLogger.start(message);
-				started = true;
-			} else {
-				nicetiesLogger?.update(message);
-			}
-		},
-		/**
-		 * @param {string} message
-		 */
-		fail(message) {
-			currentText = message;
-			if (quiet) return;
-			nicetiesLogger?.finish(message, 3);
-			started = false;
-			nicetiesLogger = undefined;
-		},
-		/**
-		 * @param {string} message
-		 */
-		succeed(message) {
-			currentText = message;
-			if (quiet) return;
-			nicetiesLogger?.finish(message);
-			started = false;
-			nicetiesLogger = undefined;
-		},
-
-		stop() {
-			if (started) {
-				nicetiesLogger?.finish("");
-				started = false;
-				nicetiesLogger = undefined;
-			}
-		},
-
-		get text() {
-			return currentText;
-		},
-
-		/**
-		 * @param {...unknown} message
-		 */
-		log(...message) {
-			if (!quiet) {
-				console.log(...message);
-			}
-		},
-
-		/**
-		 * @param {...unknown} message
-		 */
-		warn(...message) {
-			if (!quiet) {
-				console.warn(...message);
-			}
-		},
-
-		/**
-		 * @param {...unknown} message
-		 */
-		error(...message) {
-			if (!quiet) {
-				console.error(...message);
-			}
-		},
-
-		makeQuiet() {
-			quiet = true;
-			if (started) {
-				nicetiesLogger?.finish("");
-				started = false;
-			}
-			nicetiesLogger = undefined;
-		},
-	};
+function isVersionParameter(first, second) {
+	return (
+		!isLocalPackage(first) &&
+		parsePackageSpec(first).version === undefined &&
+		!isLocalPackage(second) &&
+		!/[@/]/.test(second)
+	);
 }
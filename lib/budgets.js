@@ -0,0 +1,135 @@
+/**
+ * Flag that sets the budget of a result, the tarball has no budgets
+ * @type {Partial<Record<keyof typeof import('./report.js').resultCaptions, keyof Budgets>>}
+ */
+export const budgetFlags = {
+	sizeMinified: "maxMinified",
+	sizeMinifiedGzipped: "maxGzip",
+	sizeMinifiedBrotli: "maxBrotli",
+	nodeModulesSize: "maxNodeModules",
+	nodeModulesFiles: "maxNodeModulesFiles",
+};
+
+const sizeUnits = {
+	b: 1,
+	byte: 1,
+	bytes: 1,
+	k: 1024,
+	kb: 1024,
+	kib: 1024,
+	m: 1024 * 1024,
+	mb: 1024 * 1024,
+	mib: 1024 * 1024,
+	g: 1024 * 1024 * 1024,
+	gb: 1024 * 1024 * 1024,
+	gib: 1024 * 1024 * 1024,
+};
+
+// types
+/**
+ * @typedef {Object} Budgets
+ * @property {string | number} [maxMinified]
+ * @property {string | number} [maxGzip]
+ * @property {string | number} [maxBrotli]
+ * @property {string | number} [maxNodeModules]
+ * @property {string | number} [maxNodeModulesFiles]
+ */
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {keyof typeof import('./report.js').resultCaptions} id
+ * @property {number} limit
+ * @property {number} value
+ * @property {'pass' | 'fail'} status
+ */
+
+/**
+ * Parses sizes like `12KiB`, `1.5 MB` or `500` (bytes), units are binary as everywhere else in pkgsz
+ * @param {string | number} size
+ * @returns {number} NaN when the size cannot be parsed
+ */
+export function parseSize(size) {
+	if (typeof size === "number") {
+		return size;
+	}
+	const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(size.trim());
+	const unit = /** @type {keyof typeof sizeUnits} */ (
+		match?.[2].toLowerCase() || "b"
+	);
+	if (!match || !(unit in sizeUnits)) {
+		return Number.NaN;
+	}
+	return Math.round(Number(match[1]) * sizeUnits[unit]);
+}
+
+/**
+ * @param {Budgets & { noGzip?: boolean }} flags
+ */
+export function validateBudgets(flags) {
+	/** @type {string[]} */
+	const budgetErrors = [];
+
+	for (const flag of Object.values(budgetFlags)) {
+		const value = flags[flag];
+		if (value !== undefined && Number.isNaN(getLimit(flags, flag))) {
+			budgetErrors.push(`Invalid budget for --${kebabCase(flag)}: ${value}`);
+		}
+	}
+
+	if (flags.noGzip && flags.maxGzip !== undefined) {
+		budgetErrors.push("Cannot use --no-gzip and --max-gzip flags together");
+	}
+
+	return budgetErrors;
+}
+
+/**
+ * @param {Budgets} flags
+ */
+export function hasBudgets(flags) {
+	return Object.values(budgetFlags).some((flag) => flags[flag] !== undefined);
+}
+
+/**
+ * @param {Iterable<import('./measure.js').Result>} results
+ * @param {Budgets} flags
+ * @returns {BudgetStatus[]}
+ */
+export function checkBudgets(results, flags) {
+	/** @type {BudgetStatus[]} */
+	const statuses = [];
+	for (const result of results) {
+		const flag = budgetFlags[result.id];
+		if (!flag || flags[flag] === undefined) {
+			continue;
+		}
+		const limit = getLimit(flags, flag);
+		statuses.push({
+			id: result.id,
+			limit,
+			value: result.value,
+			status: result.value <= limit ? "pass" : "fail",
+		});
+	}
+	return statuses;
+}
+
+/**
+ * @param {Budgets} flags
+ * @param {keyof Budgets} flag
+ */
+function getLimit(flags, flag) {
+	const value = /** @type {string | number} */ (flags[flag]);
+	if (flag === "maxNodeModulesFiles") {
+		const count = Number(value);
+		return Number.isInteger(count) && count >= 0 ? count : Number.NaN;
+	}
+	return parseSize(value);
+}
+
+/**
+ * @param {string} str
+ */
+function kebabCase(str) {
+	return str.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
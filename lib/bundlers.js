@@ -0,0 +1,359 @@
+// system imports
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { createRequire, isBuiltin } from "node:module";
+import { isAbsolute, join, relative } from "node:path";
+import { pathToFileURL } from "node:url";
+// local imports
+import { readChunkGraph } from "./chunks.js";
+import { defaultConditions } from "./exports.js";
+import { execPkgbld } from "./pkgbld/index.js";
+
+// types
+/** @typedef {'rollup' | 'esbuild' | 'webpack'} BundlerName */
+
+/**
+ * @typedef {Object} BuildParams
+ * @property {string} dirName
+ * @property {Record<string, string>} entries output name -> source file relative to `dirName`, e.g. `{ index: "src/index.js" }`
+ * @property {string[] | undefined} dependencies packages bundled in interactive mode, everything is bundled otherwise
+ * @property {import('./pkgbld/index.js').BuildOptions} buildOptions
+ * @property {{ log(...message: unknown[]): void }} logger
+ */
+
+/**
+ * Every bundler writes minified es modules with sourcemaps into `dist`, one file per entry,
+ * sources of the sourcemaps are relative to `dist`, e.g. `../node_modules/lodash/debounce.js`.
+ * The build resolves to the chunks every file loads as the bundler sees them
+ * @typedef {Object} Bundler
+ * @property {BundlerName} name
+ * @property {(params: BuildParams) => Promise<import('./chunks.js').ChunkGraph>} build
+ */
+
+export const bundlerNames = /** @type {BundlerName[]} */ ([
+	"rollup",
+	"esbuild",
+	"webpack",
+]);
+
+/** @type {Bundler} */
+const rollup = {
+	name: "rollup",
+	// pkgbld reads the entries from the exports of package.json
+	build: async ({ dirName, dependencies, buildOptions, logger }) => {
+		await execPkgbld(
+			`--sourcemaps=es --no-ts-config --no-update-package-json --no-clean --formats=es --compress=es --remove-legal-comments --includeExternals${dependencies ? `=${dependencies.join(",")}` : ""}`,
+			{ cwd: dirName, buildOptions: { ...buildOptions, chunkGraph: true } },
+			true,
+			logger,
+		);
+		return readChunkGraph(dirName);
+	},
+};
+
+/** @type {Bundler} */
+const esbuild = {
+	name: "esbuild",
+	build: async ({ dirName, entries, dependencies, buildOptions }) => {
+		const { build } = await importBundler("esbuild");
+		const { metafile } = await build({
+			absWorkingDir: dirName,
+			entryPoints: entries,
+			outdir: "dist",
+			outExtension: { ".js": ".mjs" },
+			bundle: true,
+			splitting: true,
+			format: "esm",
+			minify: true,
+			sourcemap: true,
+			legalComments: "none",
+			metafile: true,
+			// the same resolution as in rollup builds, without node or browser specific conditions
+			platform: "neutral",
+			mainFields: ["module", "main"],
+			conditions: [...defaultConditions, ...(buildOptions.conditions ?? [])],
+			logLevel: "silent",
+			plugins: [
+				{
+					name: "pkgsz-externals",
+					setup(/** @type {any} */ build) {
+						build.onResolve(
+							{ filter: /^[^./]/ },
+							(/** @type {{ path: string }} */ { path }) =>
+								isExternal(path, dependencies)
+									? { path, external: true }
+									: undefined,
+						);
+					},
+				},
+				...(buildOptions.ignoreSideEffectsField ? [keepSideEffects] : []),
+			],
+		});
+		// paths of the metafile are relative to the working directory, e.g. `dist/chunk-X.mjs`
+		/** @type {Record<string, { imports: { path: string, external?: boolean }[] }>} */
+		const outputs = metafile.outputs;
+		return Object.fromEntries(
+			Object.entries(outputs)
+				.filter(([file]) => file.endsWith(".mjs"))
+				.map(([file, { imports }]) => [
+					relative("dist", file),
+					imports
+						.filter(({ external }) => !external)
+						.map(({ path }) => relative("dist", path)),
+				]),
+		);
+	},
+};
+
+/**
+ * esbuild plugin that treats every resolved module as one with side effects
+ */
+const keepSideEffects = {
+	name: "pkgsz-side-effects",
+	setup(/** @type {any} */ build) {
+		build.onResolve(
+			{ filter: /.*/ },
+			/**
+			 * @param {{ path: string, kind: string, importer: string, resolveDir: string, pluginData?: unknown }} args
+			 */
+			async ({ path, kind, importer, resolveDir, pluginData }) => {
+				// the resolution below comes back to this callback
+				if (pluginData === keepSideEffects) {
+					return undefined;
+				}
+				const result = await build.resolve(path, {
+					kind,
+					importer,
+					resolveDir,
+					pluginData: keepSideEffects,
+				});
+				return result.errors.length || result.external
+					? result
+					: { ...result, sideEffects: true };
+			},
+		);
+	},
+};
+
+/** @type {Bundler} */
+const webpack = {
+	name: "webpack",
+	build: async ({ dirName, entries, dependencies, buildOptions }) => {
+		const { default: webpack } = await importBundler("webpack");
+		const { default: MinimizerPlugin } = await import(
+			resolveWebpackMinimizer()
+		);
+		const distDir = join(dirName, "dist");
+
+		/** @type {any} */
+		const stats = await new Promise((resolve, reject) => {
+			webpack(
+				{
+					mode: "production",
+					context: dirName,
+					entry: Object.fromEntries(
+						Object.entries(entries).map(([name, file]) => [name, `./${file}`]),
+					),
+					output: {
+						path: distDir,
+						// split chunks are initial chunks without names, they must not take the names of the entries
+						filename: (
+							/** @type {{ chunk?: { name?: string } }} */ pathData,
+						) => (pathData.chunk?.name ? "[name].mjs" : "chunk-[id].mjs"),
+						chunkFilename: "chunk-[id].mjs",
+						module: true,
+						library: { type: "module" },
+						// runtime modules have no files, they are renamed after the build
+						devtoolModuleFilenameTemplate: (
+							/** @type {{ absoluteResourcePath: string }} */ info,
+						) =>
+							isAbsolute(info.absoluteResourcePath)
+								? relative(distDir, info.absoluteResourcePath)
+								: `webpack/${info.absoluteResourcePath}`,
+					},
+					experiments: { outputModule: true },
+					devtool: "source-map",
+					resolve: {
+						conditionNames: [
+							...defaultConditions,
+							...(buildOptions.conditions ?? []),
+						],
+						mainFields: ["module", "main"],
+					},
+					externalsType: "module",
+					externals: [
+						(
+							/** @type {{ request?: string }} */ { request },
+							/** @type {(error?: Error | null, result?: string) => void} */ callback,
+						) =>
+							request &&
+							!/^[./]/.test(request) &&
+							isExternal(request, dependencies)
+								? callback(null, request)
+								: callback(),
+					],
+					optimization: {
+						// `false` ignores the `sideEffects` field of the packages
+						sideEffects: !buildOptions.ignoreSideEffectsField,
+						// only the code of several entries is split out, as rollup and esbuild do
+						splitChunks: {
+							chunks: "all",
+							minSize: 0,
+							cacheGroups: {
+								defaultVendors: false,
+								default: { minChunks: 2, reuseExistingChunk: true },
+							},
+						},
+						minimizer: [
+							new MinimizerPlugin({
+								extractComments: false,
+								terserOptions: { format: { comments: false } },
+							}),
+						],
+					},
+					performance: { hints: false },
+				},
+				(/** @type {Error | null} */ error, /** @type {any} */ stats) =>
+					error ? reject(error) : resolve(stats),
+			);
+		});
+
+		if (stats.hasErrors()) {
+			throw new Error(stats.toString("errors-only"));
+		}
+
+		await renameRuntimeSources(distDir);
+
+		return getWebpackChunkGraph(stats.compilation);
+	},
+};
+
+/**
+ * @param {{ bundler?: string }} flags
+ */
+export function validateBundler(flags) {
+	if (
+		flags.bundler === undefined ||
+		flags.bundler === "all" ||
+		bundlerNames.includes(/** @type {BundlerName} */ (flags.bundler))
+	) {
+		return [];
+	}
+	return [
+		`Unknown bundler: ${flags.bundler} (expected ${bundlerNames.join(", ")} or all)`,
+	];
+}
+
+/**
+ * @param {BundlerName | undefined} name
+ * @returns {Bundler}
+ */
+export function getBundler(name) {
+	switch (name) {
+		case "esbuild":
+			return esbuild;
+		case "webpack":
+			return webpack;
+		default:
+			return rollup;
+	}
+}
+
+/**
+ * esbuild and webpack are optional peer dependencies, only rollup comes with pkgsz
+ * @param {string} name
+ * @returns {Promise<any>}
+ */
+async function importBundler(name) {
+	try {
+		return await import(name);
+	} catch (/** @type {any} */ error) {
+		if (error.code === "ERR_MODULE_NOT_FOUND") {
+			throw new Error(
+				`Bundler ${name} is not installed, install it next to pkgsz to build with it`,
+			);
+		}
+		throw error;
+	}
+}
+
+/**
+ * All the runtime modules of webpack go into a single composition entry
+ * @param {string} distDir
+ */
+async function renameRuntimeSources(distDir) {
+	for (const file of await readdir(distDir)) {
+		if (file.endsWith(".map")) {
+			const path = join(distDir, file);
+			const map = JSON.parse(await readFile(path, "utf8"));
+			map.sources = map.sources.map((/** @type {string} */ source) =>
+				source.startsWith("../") ? source : "[webpack runtime]",
+			);
+			await writeFile(path, JSON.stringify(map));
+		}
+	}
+}
+
+/**
+ * Every entry with the other chunks of its entrypoint and the chunks it loads on demand,
+ * the chunks themselves are not listed, the entries load everything
+ * @param {any} compilation
+ * @returns {import('./chunks.js').ChunkGraph}
+ */
+function getWebpackChunkGraph(compilation) {
+	/**
+	 * @param {{ files: Set<string> }} chunk
+	 */
+	const getFiles = (chunk) =>
+		[...chunk.files].filter((file) => file.endsWith(".mjs"));
+
+	/** @type {import('./chunks.js').ChunkGraph} */
+	const graph = {};
+	for (const entrypoint of compilation.entrypoints.values()) {
+		const entryChunk = entrypoint.getEntrypointChunk();
+		const chunks = new Set([
+			...entrypoint.chunks,
+			...entryChunk.getAllAsyncChunks(),
+		]);
+		chunks.delete(entryChunk);
+		for (const file of getFiles(entryChunk)) {
+			graph[file] = [...chunks].flatMap(getFiles);
+		}
+	}
+	return graph;
+}
+
+/**
+ * webpack minifies with terser by default, its plugin is needed to drop the legal comments
+ * instead of extracting them into files. webpack 5.108 and later depend on `minimizer-webpack-plugin`,
+ * the renamed `terser-webpack-plugin` of the earlier versions
+ */
+function resolveWebpackMinimizer() {
+	const require = createRequire(import.meta.resolve("webpack"));
+	for (const name of ["minimizer-webpack-plugin", "terser-webpack-plugin"]) {
+		try {
+			return pathToFileURL(require.resolve(name)).href;
+		} catch {
+			// not this version of webpack
+		}
+	}
+	throw new Error("Cannot find the minimizer plugin of webpack");
+}
+
+/**
+ * Node builtins are never bundled, in interactive mode only the selected dependencies are
+ * @param {string} request
+ * @param {string[] | undefined} dependencies
+ */
+function isExternal(request, dependencies) {
+	if (isBuiltin(request)) {
+		return true;
+	}
+	if (!dependencies) {
+		return false;
+	}
+	const parts = request.split("/");
+	const packageName = parts[0].startsWith("@")
+		? parts.slice(0, 2).join("/")
+		: parts[0];
+	return !dependencies.includes(packageName);
+}
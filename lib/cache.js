@@ -0,0 +1,427 @@
+// system imports
+import { createHash } from "node:crypto";
+import {
+	cp,
+	mkdir,
+	readFile,
+	readdir,
+	rename,
+	rm,
+	stat,
+	utimes,
+	writeFile,
+} from "node:fs/promises";
+import { homedir } from "node:os";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+// 3rd party imports
+import { readPackageUp } from "read-package-up";
+// local imports
+import { collectsFiles } from "./composition.js";
+import { execNpm, parseNpmrc, readNpmrc } from "./npmrc.js";
+
+// bump when the layout of the cache or the shape of the reports changes
+const cacheFormat = 6;
+
+// least recently used entries above the limits are removed after every write
+const maxInstalls = 20;
+const maxReports = 500;
+
+const exactVersionRegex = /^\d+\.\d+\.\d+(-[\w.-]+)?(\+[\w.-]+)?$/;
+
+// types
+/**
+ * @typedef {Object} CacheFlags
+ * @property {string} [cacheDir]
+ * @property {boolean} [noCache]
+ * @property {boolean} [offline] use only what is in the cache
+ */
+
+/**
+ * @typedef {Object} Cache
+ * @property {string} dir
+ * @property {string} version resolved version of the package
+ * @property {string} installKey
+ * @property {string} reportKey
+ */
+
+/**
+ * @param {CacheFlags} flags
+ */
+export function validateCache(flags) {
+	return flags.offline && flags.noCache
+		? ["Cannot use --offline and --no-cache flags together"]
+		: [];
+}
+
+/**
+ * `$XDG_CACHE_HOME/pkgsz` or `~/.cache/pkgsz` unless `--cache-dir` is given
+ * @param {CacheFlags} flags
+ */
+export function getCacheDir(flags) {
+	return (
+		flags.cacheDir ??
+		join(process.env.XDG_CACHE_HOME || join(homedir(), ".cache"), "pkgsz")
+	);
+}
+
+/**
+ * Resolves the version of the package and computes the keys of its cache entries,
+ * a range or a tag that was never measured is resolved by the install instead, see `openInstalledCache`
+ * @param {import('./measure.js').MeasureContext} context
+ * @returns {Promise<Cache | undefined>}
+ */
+export async function openCache(context) {
+	const { packageName, version: spec, flags } = context;
+	const dir = getCacheDir(flags);
+	const version = await resolveVersion(dir, packageName, spec, flags);
+	return version === undefined ? undefined : createCache(context, dir, version);
+}
+
+/**
+ * Opens the cache with the version the install resolved the range or the tag to,
+ * the version is remembered for the next runs
+ * @param {import('./measure.js').MeasureContext} context
+ * @param {string} version installed version
+ * @returns {Promise<Cache>}
+ */
+export async function openInstalledCache(context, version) {
+	const dir = getCacheDir(context.flags);
+	await rememberVersion(
+		dir,
+		`${context.packageName}@${context.version ?? "latest"}`,
+		version,
+	);
+	return createCache(context, dir, version);
+}
+
+/**
+ * The installed tree depends on how the package is installed, the report on everything that is measured
+ * @param {import('./measure.js').MeasureContext} context
+ * @param {string} dir
+ * @param {string} version
+ * @returns {Promise<Cache>}
+ */
+async function createCache({ packageName, flags, buildOptions }, dir, version) {
+	const installFields = {
+		cacheFormat,
+		pkgszVersion: await getPkgszVersion(),
+		packageName,
+		version,
+		packageManager: flags.packageManager ?? "npm",
+		registry: flags.registry,
+		npmrc: await getRegistriesKey(flags),
+		enableScripts: flags.enableScripts,
+	};
+	return {
+		dir,
+		version,
+		installKey: hash(installFields),
+		reportKey: hash({
+			...installFields,
+			export: flags.export,
+			import: flags.import,
+			noGzip: flags.noGzip,
+			brotli: flags.brotli,
+			conditions: buildOptions.conditions,
+			plugins: await getPluginsKey(buildOptions.plugins),
+			compositionFiles: collectsFiles(flags),
+			bundler: flags.bundler,
+			tarball: flags.tarball,
+			sideEffects: flags.sideEffects,
+		}),
+	};
+}
+
+/**
+ * @param {Cache} cache
+ * @returns {Promise<import('./measure.js').Report | undefined>}
+ */
+export async function readCachedReport(cache) {
+	const path = getReportPath(cache);
+	try {
+		const report = JSON.parse(await readFile(path, "utf8"));
+		await touch(path);
+		return report;
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Budgets and diffs depend on the flags of the run and are not stored
+ * @param {Cache} cache
+ * @param {import('./measure.js').Report} report
+ */
+export async function writeCachedReport(cache, report) {
+	const { budgets, diff, ...measured } = report;
+	const path = getReportPath(cache);
+	await mkdir(join(cache.dir, "reports"), { recursive: true });
+	await writeAtomically(path, (tempPath) =>
+		writeFile(tempPath, JSON.stringify(measured, null, 2)),
+	);
+	await pruneEntries(join(cache.dir, "reports"), maxReports);
+}
+
+/**
+ * Copies the cached install into the directory
+ * @param {Cache} cache
+ * @param {string} dirName
+ * @returns {Promise<boolean>} false when there is nothing in the cache
+ */
+export async function restoreInstall(cache, dirName) {
+	const installDir = getInstallDir(cache);
+	let entries;
+	try {
+		entries = await readdir(installDir);
+	} catch {
+		return false;
+	}
+	for (const entry of entries) {
+		await cp(join(installDir, entry), join(dirName, entry), {
+			recursive: true,
+			verbatimSymlinks: true,
+		});
+	}
+	await touch(installDir);
+	return true;
+}
+
+/**
+ * Stores node_modules, the lockfile and the package manager files right after the install
+ * @param {Cache} cache
+ * @param {string} dirName
+ */
+export async function saveInstall(cache, dirName) {
+	const installDir = getInstallDir(cache);
+	await mkdir(join(cache.dir, "installs"), { recursive: true });
+	await writeAtomically(installDir, async (tempDir) => {
+		await mkdir(tempDir);
+		for (const entry of await readdir(dirName)) {
+			// sources are generated for every run and .npmrc is not there anymore, skipped just in case
+			if (entry !== "src" && entry !== ".npmrc") {
+				await cp(join(dirName, entry), join(tempDir, entry), {
+					recursive: true,
+					verbatimSymlinks: true,
+				});
+			}
+		}
+	});
+	await pruneEntries(join(cache.dir, "installs"), maxInstalls);
+}
+
+/**
+ * Removes the whole cache directory
+ * @param {CacheFlags} flags
+ * @returns {Promise<string>} the removed directory
+ */
+export async function clearCache(flags) {
+	const dir = resolve(getCacheDir(flags));
+	await rm(dir, { recursive: true, force: true });
+	return dir;
+}
+
+/**
+ * Exact versions are used as is, everything else is resolved with the registry
+ * and remembered for offline runs. Ranges and tags that were never resolved are left to the install,
+ * the cache has nothing for them
+ * @param {string} dir
+ * @param {string} packageName
+ * @param {string | undefined} spec
+ * @param {import('./measure.js').Flags} flags
+ * @returns {Promise<string | undefined>}
+ */
+async function resolveVersion(dir, packageName, spec, flags) {
+	if (spec && exactVersionRegex.test(spec)) {
+		return spec;
+	}
+
+	const versions = await readVersions(dir);
+	const specKey = `${packageName}@${spec ?? "latest"}`;
+
+	if (flags.offline) {
+		if (!versions[specKey]) {
+			throw new Error(
+				`${specKey} is not in the cache, run without --offline first`,
+			);
+		}
+		return versions[specKey];
+	}
+
+	if (!versions[specKey]) {
+		return undefined;
+	}
+
+	const output = await execNpm(
+		`npm view "${specKey}" version --json${flags.registry ? ` --registry=${flags.registry}` : ""}`,
+		flags.npmrc,
+	);
+	// a list of versions when the range matches several of them
+	const version = output.trim()
+		? [JSON.parse(output)].flat().at(-1)
+		: undefined;
+
+	if (!version) {
+		throw new Error(`No versions match ${specKey}`);
+	}
+
+	await rememberVersion(dir, specKey, version);
+
+	return version;
+}
+
+/**
+ * @param {string} dir
+ * @returns {Promise<Record<string, string>>}
+ */
+function readVersions(dir) {
+	return readFile(join(dir, "versions.json"), "utf8").then(
+		JSON.parse,
+		() => ({}),
+	);
+}
+
+/**
+ * @param {string} dir
+ * @param {string} specKey `name@range` or `name@tag`
+ * @param {string} version
+ */
+async function rememberVersion(dir, specKey, version) {
+	const versions = await readVersions(dir);
+	if (versions[specKey] === version) {
+		return;
+	}
+	versions[specKey] = version;
+	await mkdir(dir, { recursive: true });
+	await writeAtomically(join(dir, "versions.json"), (tempPath) =>
+		writeFile(tempPath, JSON.stringify(versions, null, 2)),
+	);
+}
+
+/**
+ * Writes into a temporary path and renames it, so parallel runs never see a half written entry
+ * @param {string} path
+ * @param {(tempPath: string) => Promise<void>} write
+ */
+async function writeAtomically(path, write) {
+	const tempPath = `${path}.${process.pid}.tmp`;
+	try {
+		await write(tempPath);
+		await rename(tempPath, path);
+	} catch (/** @type {any} */ error) {
+		// directories are not replaced, another run has stored the same install in the meantime
+		if (error.code !== "ENOTEMPTY" && error.code !== "EEXIST") {
+			throw error;
+		}
+	} finally {
+		await rm(tempPath, { recursive: true, force: true });
+	}
+}
+
+/**
+ * Keeps the given number of the most recently used entries of the directory, the modification time tells when an entry was used,
+ * entries that are being written by other runs are left alone
+ * @param {string} dir
+ * @param {number} maxEntries
+ */
+async function pruneEntries(dir, maxEntries) {
+	const entries = (await readdir(dir)).filter(
+		(entry) => !entry.endsWith(".tmp"),
+	);
+	if (entries.length <= maxEntries) {
+		return;
+	}
+	/** @type {{ path: string, time: number }[]} */
+	const used = [];
+	for (const entry of entries) {
+		const path = join(dir, entry);
+		// removed by another run in the meantime
+		const stats = await stat(path).catch(() => undefined);
+		if (stats) {
+			used.push({ path, time: stats.mtimeMs });
+		}
+	}
+	used.sort((a, b) => b.time - a.time);
+	for (const { path } of used.slice(maxEntries)) {
+		await rm(path, { recursive: true, force: true });
+	}
+}
+
+/**
+ * @param {string} path
+ */
+async function touch(path) {
+	const now = new Date();
+	await utimes(path, now, now).catch(() => {});
+}
+
+/**
+ * Registries change what is installed, so the registry lines of the .npmrc files are a part of the key, auth entries never are
+ * @param {import('./measure.js').Flags} flags
+ */
+async function getRegistriesKey(flags) {
+	const npmrc = await readNpmrc(flags.npmrc);
+	const userNpmrc = await readFile(join(homedir(), ".npmrc"), "utf8").catch(
+		() => "",
+	);
+	const registries = parseNpmrc(`${npmrc ?? ""}\n${userNpmrc}`).filter(
+		([key]) => key === "registry" || /^@[^:]+:registry$/.test(key),
+	);
+	return registries.length ? hash(registries) : undefined;
+}
+
+/**
+ * @param {Cache} cache
+ */
+function getReportPath(cache) {
+	return join(cache.dir, "reports", `${cache.reportKey}.json`);
+}
+
+/**
+ * @param {Cache} cache
+ */
+function getInstallDir(cache) {
+	return join(cache.dir, "installs", cache.installKey);
+}
+
+/**
+ * Plugins can change without changing the list: the content of the resolved module, the version of the package
+ * it comes from and the content of the config file with the options are a part of the key
+ * @param {import('./config.js').PluginReference[]} [plugins]
+ */
+async function getPluginsKey(plugins = []) {
+	return Promise.all(
+		plugins.map(async ({ name, url, configUrl }) => {
+			const path = fileURLToPath(url);
+			const packageUp = await readPackageUp({ cwd: dirname(path) });
+			return {
+				name,
+				module: hash(await readFile(path, "utf8")),
+				version: packageUp?.packageJson.version,
+				config:
+					configUrl && hash(await readFile(fileURLToPath(configUrl), "utf8")),
+			};
+		}),
+	);
+}
+
+/**
+ * @param {unknown} value
+ */
+function hash(value) {
+	return createHash("sha256")
+		.update(JSON.stringify(value))
+		.digest("hex")
+		.substring(0, 32);
+}
+
+/**
+ * Reports of other pkgsz versions can be measured differently, so the version is a part of every key
+ * @returns {Promise<string>}
+ */
+async function getPkgszVersion() {
+	const pkg = JSON.parse(
+		await readFile(new URL("../package.json", import.meta.url), "utf8"),
+	);
+	return pkg.version;
+}
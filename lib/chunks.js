@@ -0,0 +1,74 @@
+// system imports
+import { readFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+// types
+/**
+ * Output files of a build with the files each of them loads, static and dynamic imports alike,
+ * paths are relative to `dist`, e.g. `{ "index.mjs": ["chunk-a1b2.mjs"], "chunk-a1b2.mjs": [] }`
+ * @typedef {Record<string, string[]>} ChunkGraph
+ */
+
+// written by the pkgsz pkgbld plugin next to `dist`, so it is not measured with the build
+export const chunkGraphFile = "chunks.json";
+
+/**
+ * @param {string} dirName directory of the build
+ * @returns {Promise<ChunkGraph>}
+ */
+export async function readChunkGraph(dirName) {
+	return JSON.parse(await readFile(join(dirName, chunkGraphFile), "utf8"));
+}
+
+/**
+ * Splits the built files between the entries, files loaded by several entries are shared
+ * @param {string} distDir
+ * @param {ChunkGraph} graph
+ * @param {string[]} entryFiles relative to `distDir`
+ * @returns {{ exclusive: string[][], shared: string[] }}
+ */
+export function splitByEntries(distDir, graph, entryFiles) {
+	const entriesFiles = entryFiles.map((entryFile) =>
+		collectEntryFiles(distDir, graph, entryFile),
+	);
+
+	/** @type {Map<string, number>} */
+	const usages = new Map();
+	for (const files of entriesFiles) {
+		for (const file of files) {
+			usages.set(file, (usages.get(file) ?? 0) + 1);
+		}
+	}
+
+	return {
+		exclusive: entriesFiles.map((files) =>
+			files.filter((file) => usages.get(file) === 1),
+		),
+		shared: [...usages.keys()].filter(
+			(file) => /** @type {number} */ (usages.get(file)) > 1,
+		),
+	};
+}
+
+/**
+ * The entry and every chunk it loads, directly or through other chunks
+ * @param {string} distDir
+ * @param {ChunkGraph} graph
+ * @param {string} entryFile relative to `distDir`
+ * @returns {string[]} absolute paths
+ */
+export function collectEntryFiles(distDir, graph, entryFile) {
+	/** @type {Set<string>} */
+	const files = new Set();
+	/** @type {string[]} */
+	const queue = [entryFile];
+	while (queue.length) {
+		const file = /** @type {string} */ (queue.shift());
+		if (files.has(file)) {
+			continue;
+		}
+		files.add(file);
+		queue.push(...(graph[file] ?? []));
+	}
+	return [...files].map((file) => resolve(distDir, file));
+}
@@ -0,0 +1,209 @@
+// system imports
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+// 3rd party imports
+import { SourceMapConsumer } from "source-map";
+// local imports
+import { compressedSize } from "./utils.js";
+
+const nodeModulesPrefix = "../node_modules/";
+
+const sourceMappingUrlRegex = /\n?\/\/# sourceMappingURL=.*\s*$/;
+
+// types
+/**
+ * Composition entry of a source, `copy` is `name@version` of the installed package the source comes from
+ * @typedef {{ pkgName: string, fileName?: string, copy?: string }} CompositionKey
+ */
+
+/**
+ * Maps a source of the sourcemap to the composition entry it belongs to,
+ * `../node_modules/lodash/debounce.js` -> `{ pkgName: "lodash", fileName: "debounce.js", packageDir: "node_modules/lodash" }`
+ * @param {string} source
+ * @returns {{ pkgName: string, fileName?: string, packageDir?: string }}
+ */
+export function getCompositionKey(source) {
+	if (!source.startsWith(nodeModulesPrefix)) {
+		return { pkgName: source };
+	}
+	// the package is in the last node_modules: nested copies (`a/node_modules/b`) and the stores of pnpm and bun
+	// (`.pnpm/lodash@4.17.21/node_modules/lodash`) keep packages inside other directories
+	const parts = source.substring("../".length).split("/");
+	const start = parts.lastIndexOf("node_modules") + 1;
+	const nameLength =
+		parts[start]?.startsWith("@") && parts.length > start + 1 ? 2 : 1;
+	return {
+		pkgName: parts.slice(start, start + nameLength).join("/"),
+		fileName: parts.slice(start + nameLength).join("/"),
+		packageDir: parts.slice(0, start + nameLength).join("/"),
+	};
+}
+
+/**
+ * Keys of the composition of a build, copies of a package at different versions are separate
+ * `name@version` entries instead of being merged into one
+ * @param {string} dirName directory the package is built in
+ * @param {string[]} sources sources of all the built files
+ * @returns {Promise<(source: string) => CompositionKey>}
+ */
+export async function createCompositionKeys(dirName, sources) {
+	/** @type {Map<string, string | undefined>} */
+	const versions = new Map();
+	/** @type {Map<string, Set<string>>} */
+	const packageVersions = new Map();
+
+	for (const source of sources) {
+		const { pkgName, packageDir } = getCompositionKey(source);
+		if (packageDir !== undefined && !versions.has(packageDir)) {
+			const version = await readFile(
+				join(dirName, packageDir, "package.json"),
+				"utf8",
+			)
+				.then((json) => JSON.parse(json).version)
+				.catch(() => undefined);
+			versions.set(packageDir, version);
+			if (typeof version === "string") {
+				packageVersions.set(
+					pkgName,
+					new Set([...(packageVersions.get(pkgName) ?? []), version]),
+				);
+			}
+		}
+	}
+
+	return (source) => {
+		const { pkgName, fileName, packageDir } = getCompositionKey(source);
+		const version =
+			packageDir === undefined ? undefined : versions.get(packageDir);
+		if (version === undefined) {
+			return { pkgName, fileName };
+		}
+		const copy = `${pkgName}@${version}`;
+		return {
+			pkgName: (packageVersions.get(pkgName)?.size ?? 0) > 1 ? copy : pkgName,
+			fileName,
+			copy,
+		};
+	};
+}
+
+/**
+ * The treemap of the HTML report goes down to the files, so it needs them even without `--composition files`
+ * @param {{ composition?: string, html?: string }} flags
+ */
+export function collectsFiles(flags) {
+	return flags.composition === "files" || Boolean(flags.html);
+}
+
+/**
+ * Compresses the code of every composition entry on its own. Entries compress worse alone than together,
+ * so the sizes are only good for the proportions, see `scaleCompressedComposition`
+ * @param {string[]} files built files, sourcemaps are expected next to them
+ * @param {import('./utils.js').CompressionMethod[]} methods
+ * @param {(source: string) => { pkgName: string }} [getKey] keys of the composition, see `createCompositionKeys`
+ * @returns {Promise<Map<string, Partial<Record<import('./utils.js').CompressionMethod, number>>>>}
+ */
+export async function compressComposition(
+	files,
+	methods,
+	getKey = getCompositionKey,
+) {
+	/** @type {Map<string, string[]>} */
+	const codes = new Map();
+	/**
+	 * @param {string} key
+	 * @param {string} code
+	 */
+	const append = (key, code) => {
+		if (code) {
+			codes.set(key, [...(codes.get(key) ?? []), code]);
+		}
+	};
+
+	for (const file of files) {
+		const lines = (await readFile(file, "utf8"))
+			.replace(sourceMappingUrlRegex, "")
+			.split("\n");
+		/** @type {{ column: number, source: string | null }[][]} */
+		const lineMappings = lines.map(() => []);
+
+		await SourceMapConsumer.with(
+			JSON.parse(await readFile(`${file}.map`, "utf8")),
+			null,
+			(/** @type {import('source-map').SourceMapConsumer} */ consumer) => {
+				consumer.eachMapping(
+					(/** @type {import('source-map').MappingItem} */ mapping) => {
+						lineMappings[mapping.generatedLine - 1]?.push({
+							column: mapping.generatedColumn,
+							source: mapping.source,
+						});
+					},
+				);
+			},
+		);
+
+		// the same split as source-map-explorer: code before the first mapping of a line is unmapped, mappings without sources are `[no source]`
+		lines.forEach((line, index) => {
+			const mappings = lineMappings[index].sort((a, b) => a.column - b.column);
+			append(
+				"[unmapped]",
+				line.substring(0, mappings[0]?.column ?? line.length),
+			);
+			mappings.forEach(({ column, source }, mappingIndex) => {
+				append(
+					source ? getKey(source).pkgName : "[no source]",
+					line.substring(column, mappings[mappingIndex + 1]?.column),
+				);
+			});
+			if (index < lines.length - 1) {
+				append("[EOLs]", "\n");
+			}
+		});
+	}
+
+	return new Map(
+		await Promise.all(
+			[...codes].map(
+				async ([key, code]) =>
+					/** @type {const} */ ([
+						key,
+						await compressedSize(Buffer.from(code.join("")), methods),
+					]),
+			),
+		),
+	);
+}
+
+/**
+ * Splits the compressed size of the build between the composition entries in proportion to their own compressed sizes
+ * @param {Map<string, Partial<Record<import('./utils.js').CompressionMethod, number>>>} compressed result of `compressComposition`
+ * @param {Partial<Record<import('./utils.js').CompressionMethod, number>>} totals compressed sizes of the build
+ * @returns {[string, { gzip?: number, brotli?: number }][]}
+ */
+export function scaleCompressedComposition(compressed, totals) {
+	/**
+	 * @param {'gzip' | 'brotli'} method
+	 * @param {number | undefined} size
+	 */
+	const scale = (method, size) => {
+		const total = totals[method];
+		const sum = [...compressed.values()].reduce(
+			(result, sizes) => result + (sizes[method] ?? 0),
+			0,
+		);
+		return total === undefined || size === undefined || !sum
+			? undefined
+			: Math.round((total * size) / sum);
+	};
+	return [...compressed].map(([key, sizes]) => {
+		const gzip = scale("gzip", sizes.gzip);
+		const brotli = scale("brotli", sizes.brotli);
+		return [
+			key,
+			{
+				...(gzip !== undefined && { gzip }),
+				...(brotli !== undefined && { brotli }),
+			},
+		];
+	});
+}
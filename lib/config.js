@@ -0,0 +1,274 @@
+// system imports
+import { access, readFile } from "node:fs/promises";
+import { basename, dirname, extname, join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+// local imports
+import { execEx } from "./utils.js";
+
+// looked up in the current directory, the first one found is used, the `pkgsz` field of package.json goes last
+const configFiles = [
+	"pkgsz.config.js",
+	"pkgsz.config.mjs",
+	"pkgsz.config.json",
+];
+
+// a check is measured as a single package, options that make several runs or change the output are set on the command line
+const globalOptions = [
+	"versions",
+	"last",
+	"allConditions",
+	"interactive",
+	"json",
+	"format",
+	"rawBytes",
+	"html",
+	"baseline",
+	"config",
+	"check",
+];
+
+// types
+/**
+ * A module name or a path, with options passed to the plugin factory: `"rollup-plugin-svelte"` or `["rollup-plugin-vue", { isProduction: true }]`
+ * @typedef {string | [string, unknown]} PluginEntry
+ */
+
+/**
+ * Named check of the config, the other options are named as the CLI flags in camelCase:
+ * `{ package: "@acme/ui", export: [".", "./button"], brotli: true, maxGzip: "12KiB" }`
+ * @typedef {{ package: string, version?: string } & Record<string, unknown>} CheckConfig
+ */
+
+/**
+ * @typedef {Object} Config
+ * @property {PluginEntry[]} [plugins] extra rollup plugins
+ * @property {Record<string, CheckConfig>} [checks]
+ */
+
+/**
+ * Option of the command line, values of checks are converted to its type
+ * @typedef {{ type: 'string' | 'boolean', multiple?: boolean, short?: string, description?: string, default?: unknown }} OptionDefinition
+ */
+
+/**
+ * @typedef {Object} Check
+ * @property {string} name
+ * @property {string} package package name, `name@version` or a local path
+ * @property {string} [version]
+ * @property {Record<string, unknown>} flags
+ * @property {string} configFile the plugins of the config are used to build the package of the check
+ */
+
+/**
+ * Plugin passed to the build, options of plugins from the config file are read from the file again
+ * by the pkgbld plugin, so functions in them survive the trip to another process
+ * @typedef {Object} PluginReference
+ * @property {string} name as written in the config file or in `--plugin`
+ * @property {string} url resolved module
+ * @property {string} [configUrl] config file the plugin is declared in
+ * @property {number} [index] position of the plugin in the config file
+ */
+
+/**
+ * @param {string} cwd
+ * @returns {Promise<string | undefined>}
+ */
+export async function findConfigFile(cwd) {
+	for (const file of configFiles) {
+		const path = join(cwd, file);
+		if (
+			await access(path).then(
+				() => true,
+				() => false,
+			)
+		) {
+			return path;
+		}
+	}
+	const packageJsonPath = join(cwd, "package.json");
+	try {
+		const packageJson = JSON.parse(await readFile(packageJsonPath, "utf8"));
+		if (packageJson.pkgsz !== undefined) {
+			return packageJsonPath;
+		}
+	} catch {
+		// no package.json or not a valid one, there is no config then
+	}
+	return undefined;
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<Config>}
+ */
+export async function loadConfigFile(file) {
+	try {
+		const config =
+			basename(file) === "package.json"
+				? JSON.parse(await readFile(file, "utf8")).pkgsz
+				: extname(file) === ".json"
+					? JSON.parse(await readFile(file, "utf8"))
+					: (await import(pathToFileURL(resolve(file)).href)).default;
+		if (!config || typeof config !== "object") {
+			throw new Error("the config must be an object");
+		}
+		return config;
+	} catch (/** @type {any} */ error) {
+		throw new Error(`Cannot load config file ${file}: ${error.message}`);
+	}
+}
+
+/**
+ * Checks of the config in the current directory, all of them or the given ones in the order of the names
+ * @param {string[] | undefined} names
+ * @param {Record<string, OptionDefinition>} options
+ * @param {string} cwd
+ * @returns {Promise<Check[]>}
+ */
+export async function loadChecks(names, options, cwd) {
+	const configFile = await findConfigFile(cwd);
+	if (!configFile) {
+		throw new Error(
+			`Cannot find ${configFiles.join(", ")} or a pkgsz field in package.json`,
+		);
+	}
+	const checks = (await loadConfigFile(configFile)).checks ?? {};
+	const checkNames = Object.keys(checks);
+	if (!checkNames.length) {
+		throw new Error(`No checks in ${configFile}`);
+	}
+
+	const unknown = (names ?? []).filter((name) => !checkNames.includes(name));
+	if (unknown.length) {
+		throw new Error(
+			`Unknown check: ${unknown.join(", ")} (expected ${checkNames.join(", ")})`,
+		);
+	}
+
+	const errors = [];
+	const result = [];
+	for (const name of names ?? checkNames) {
+		const { package: packageName, version, ...values } = checks[name];
+		if (typeof packageName !== "string" || !packageName) {
+			errors.push(`Check ${name}: package is required`);
+			continue;
+		}
+		/** @type {Record<string, unknown>} */
+		const flags = {};
+		for (const [option, value] of Object.entries(values)) {
+			if (!(option in options) || globalOptions.includes(option)) {
+				errors.push(`Check ${name}: ${option} cannot be set in a check`);
+			} else {
+				flags[option] = toFlagValue(value, options[option]);
+			}
+		}
+		result.push({
+			name,
+			package: packageName,
+			version: version === undefined ? undefined : String(version),
+			flags,
+			configFile,
+		});
+	}
+	if (errors.length) {
+		throw new Error(errors.join("\n"));
+	}
+	return result;
+}
+
+/**
+ * Config files are written by hand, `top: 10` or `conditions: ["browser"]` are accepted as well
+ * @param {unknown} value
+ * @param {OptionDefinition} option
+ */
+function toFlagValue(value, option) {
+	if (option.type === "boolean") {
+		return Boolean(value);
+	}
+	if (option.multiple) {
+		return [value].flat().map(String);
+	}
+	return Array.isArray(value) ? value.join(",") : String(value);
+}
+
+/**
+ * @param {PluginEntry} entry
+ * @returns {{ name: string, options: unknown }}
+ */
+export function parsePluginEntry(entry) {
+	if (typeof entry === "string") {
+		return { name: entry, options: undefined };
+	}
+	if (Array.isArray(entry) && typeof entry[0] === "string") {
+		return { name: entry[0], options: entry[1] };
+	}
+	throw new Error(
+		`Invalid plugin entry: ${JSON.stringify(entry)} (expected a module name or [name, options])`,
+	);
+}
+
+/**
+ * Plugins of the config file go first, `--plugin` modules are added after them.
+ * The config file is read only when it is given (the CLI gives it with `--config` and `--check`), its plugins are resolved from its directory,
+ * `--plugin` modules from the current one, so plugins are installed in the project that runs pkgsz
+ * @param {string[]} cliPlugins
+ * @param {string | undefined} configFile
+ * @param {string} cwd
+ * @returns {Promise<PluginReference[]>}
+ */
+export async function resolvePlugins(cliPlugins, configFile, cwd) {
+	/** @type {PluginReference[]} */
+	const plugins = [];
+	if (configFile) {
+		const path = resolve(configFile);
+		const config = await loadConfigFile(path);
+		for (const [index, entry] of (config.plugins ?? []).entries()) {
+			const { name } = parsePluginEntry(entry);
+			plugins.push({
+				name,
+				url: await resolvePlugin(name, dirname(path)),
+				configUrl: pathToFileURL(path).href,
+				index,
+			});
+		}
+	}
+	for (const name of cliPlugins) {
+		plugins.push({ name, url: await resolvePlugin(name, cwd) });
+	}
+	return plugins;
+}
+
+/**
+ * Resolves the plugin the way `import` does, so plugins published as es modules only are found as well,
+ * bare names are resolved by node started in the directory, there is no other way to resolve them from a directory
+ * @param {string} name
+ * @param {string} dir
+ * @returns {Promise<string>}
+ */
+async function resolvePlugin(name, dir) {
+	if (/^(\.{1,2}[\\/]|[\\/]|[a-zA-Z]:[\\/])/.test(name)) {
+		const path = resolve(dir, name);
+		if (
+			await access(path).then(
+				() => true,
+				() => false,
+			)
+		) {
+			return pathToFileURL(path).href;
+		}
+	} else {
+		try {
+			return (
+				await execEx(
+					'node --input-type=module -e "console.log(import.meta.resolve(process.env.PKGSZ_PLUGIN))"',
+					{ cwd: dir, env: { ...process.env, PKGSZ_PLUGIN: name } },
+				)
+			).trim();
+		} catch {
+			// reported below
+		}
+	}
+	throw new Error(
+		`Cannot find plugin ${name}, install it in the current project`,
+	);
+}
@@ -0,0 +1,134 @@
+// types
+/**
+ * @typedef {Object} ResultDiff
+ * @property {keyof typeof import('./report.js').resultCaptions} id
+ * @property {number | null} before null when the metric is missing in the baseline
+ * @property {number | null} after null when the metric is missing in the current report
+ * @property {number} delta
+ * @property {number | null} percent null when there is nothing to compare with
+ */
+
+/**
+ * @typedef {Object} CompositionChange
+ * @property {string} name
+ * @property {number} before
+ * @property {number} after
+ * @property {number} delta
+ */
+
+/**
+ * @typedef {Object} ReportDiff
+ * @property {{ name: string, version: string | undefined }} baseline
+ * @property {ResultDiff[]} results
+ * @property {{ added: [string, number][], removed: [string, number][], grown: CompositionChange[], shrunk: CompositionChange[] }} composition
+ * @property {{ added: string[], removed: string[] }} includedExports
+ */
+
+/**
+ * Compares a report with an earlier one (e.g. archived `--json` output)
+ * @param {import('./measure.js').Report} baseline
+ * @param {import('./measure.js').Report} report
+ * @returns {ReportDiff}
+ */
+export function diffReports(baseline, report) {
+	const ids = [
+		...new Set([
+			...baseline.results.map((result) => result.id),
+			...report.results.map((result) => result.id),
+		]),
+	];
+
+	const results = ids.map((id) => {
+		const before =
+			baseline.results.find((result) => result.id === id)?.value ?? null;
+		const after = report.results.find((result) => result.id === id)?.value ?? null;
+		const delta = (after ?? 0) - (before ?? 0);
+		return {
+			id,
+			before,
+			after,
+			delta,
+			percent:
+				before && after !== null
+					? Number(((delta / before) * 100).toFixed(2))
+					: null,
+		};
+	});
+
+	const beforeComposition = new Map(baseline.composition);
+	const afterComposition = new Map(report.composition);
+
+	/** @type {ReportDiff['composition']} */
+	const composition = { added: [], removed: [], grown: [], shrunk: [] };
+
+	for (const [name, after] of afterComposition) {
+		const before = beforeComposition.get(name);
+		if (before === undefined) {
+			composition.added.push([name, after]);
+		} else if (after > before) {
+			composition.grown.push({ name, before, after, delta: after - before });
+		} else if (after < before) {
+			composition.shrunk.push({ name, before, after, delta: after - before });
+		}
+	}
+
+	for (const [name, before] of beforeComposition) {
+		if (!afterComposition.has(name)) {
+			composition.removed.push([name, before]);
+		}
+	}
+
+	const beforeExports = baseline.includedExports.map((data) => data.export);
+	const afterExports = report.includedExports.map((data) => data.export);
+
+	return {
+		baseline: baseline.metadata,
+		results,
+		composition,
+		includedExports: {
+			added: afterExports.filter((name) => !beforeExports.includes(name)),
+			removed: beforeExports.filter((name) => !afterExports.includes(name)),
+		},
+	};
+}
+
+/**
+ * Picks reports out of saved `--json` output, comparison output (an array of reports) is supported as well,
+ * of size history output (`--versions`, `--last`) the newest version is used
+ * @param {unknown} saved
+ * @returns {import('./measure.js').Report[]}
+ */
+export function getSavedReports(saved) {
+	const reports = isHistory(saved) ? saved.versions.slice(-1) : [saved].flat();
+	return /** @type {import('./measure.js').Report[]} */ (reports).filter(
+		(report) =>
+			report &&
+			typeof report === "object" &&
+			Array.isArray(report.results) &&
+			Array.isArray(report.includedExports) &&
+			Array.isArray(report.composition),
+	);
+}
+
+/**
+ * @param {unknown} saved
+ * @returns {saved is { versions: unknown[] }}
+ */
+function isHistory(saved) {
+	return (
+		typeof saved === "object" &&
+		saved !== null &&
+		"versions" in saved &&
+		Array.isArray(saved.versions)
+	);
+}
+
+/**
+ * @param {import('./measure.js').Report[]} baselines
+ * @param {string} packageName
+ */
+export function findBaseline(baselines, packageName) {
+	return baselines.length === 1
+		? baselines[0]
+		: baselines.find((report) => report.metadata?.name === packageName);
+}
@@ -0,0 +1,209 @@
+// system imports
+import { relative } from "node:path";
+// local imports
+import { execNpm } from "./npmrc.js";
+import { filesInDir } from "./utils.js";
+
+// conditions used to find the files behind a subpath pattern, order does not matter, the order of keys in the exports map does
+const patternConditions = new Set([
+	"import",
+	"module",
+	"default",
+	"require",
+	"node",
+	"browser",
+]);
+
+// conditions rollup node-resolve always uses for es imports
+export const defaultConditions = ["default", "module", "import"];
+
+/**
+ * `./fp` -> `fp`, `.` stays as is
+ * @param {string} exportName
+ */
+export function normalizeExportName(exportName) {
+	return exportName.startsWith("./") ? exportName.substring(2) : exportName;
+}
+
+/**
+ * Finds the target of an exports map entry (string, array or nested conditions object)
+ * @param {unknown} target
+ * @param {Set<string>} conditions
+ * @returns {string | undefined}
+ */
+export function resolveExportTarget(target, conditions) {
+	return matchExportConditions(target, conditions)?.target;
+}
+
+/**
+ * Same as `resolveExportTarget` but also returns the chain of conditions that matched, e.g. `["browser", "import"]`
+ * @param {unknown} target
+ * @param {Set<string>} conditions
+ * @returns {{ target: string, conditions: string[] } | undefined}
+ */
+export function matchExportConditions(target, conditions) {
+	if (typeof target === "string") {
+		return { target, conditions: [] };
+	}
+	if (Array.isArray(target)) {
+		for (const item of target) {
+			const matched = matchExportConditions(item, conditions);
+			if (matched) {
+				return matched;
+			}
+		}
+		return undefined;
+	}
+	if (target && typeof target === "object") {
+		for (const [condition, value] of Object.entries(target)) {
+			if (conditions.has(condition)) {
+				const matched = matchExportConditions(value, conditions);
+				if (matched) {
+					return {
+						target: matched.target,
+						conditions: [condition, ...matched.conditions],
+					};
+				}
+			}
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Turns the `exports` sugar (a string, an array or conditions without subpaths) into a map of subpaths
+ * @param {unknown} exportsField
+ * @returns {Record<string, unknown> | undefined}
+ */
+export function normalizeExportsMap(exportsField) {
+	if (exportsField === undefined || exportsField === null) {
+		return undefined;
+	}
+	if (
+		typeof exportsField !== "object" ||
+		Array.isArray(exportsField) ||
+		!Object.keys(exportsField).some((key) => key.startsWith("."))
+	) {
+		return { ".": exportsField };
+	}
+	return /** @type {Record<string, unknown>} */ (exportsField);
+}
+
+/**
+ * Conditions declared at the top level of the root export (`types` is left out because it is not code,
+ * `default` because it is always used, empty keys are not conditions at all)
+ * @param {unknown} exportsField
+ * @returns {string[]}
+ */
+export function getDeclaredConditions(exportsField) {
+	const root = normalizeExportsMap(exportsField)?.["."];
+	if (!root || typeof root !== "object" || Array.isArray(root)) {
+		return [];
+	}
+	return Object.keys(root).filter(
+		(condition) => !["", "types", "default"].includes(condition),
+	);
+}
+
+/**
+ * Reads the exports map of a published package from the registry and returns the conditions of its root export
+ * @param {string} packageName
+ * @param {{ version?: string, registry?: string, npmrc?: string }} options
+ * @returns {Promise<string[]>}
+ */
+export async function resolveDeclaredConditions(
+	packageName,
+	{ version, registry, npmrc },
+) {
+	const output = await execNpm(
+		`npm view "${packageName}${version ? `@${version}` : ""}" exports --json${registry ? ` --registry=${registry}` : ""}`,
+		npmrc,
+	);
+	// npm prints nothing when the field is missing
+	return output.trim() ? getDeclaredConditions(JSON.parse(output)) : [];
+}
+
+/**
+ * Expands a subpath pattern like `./locale/*` against the files that exist in the installed package
+ * @param {string} packageDir
+ * @param {Record<string, any>} manifest package.json of the package
+ * @param {string} pattern
+ * @returns {Promise<string[]>} sorted subpaths, e.g. `./locale/de`
+ */
+export async function expandSubpathPattern(packageDir, manifest, pattern) {
+	const exportsMap = normalizeExportsMap(manifest.exports);
+	if (!exportsMap || !(pattern in exportsMap)) {
+		throw new Error(`Subpath pattern is not exported by the package: ${pattern}`);
+	}
+
+	const target = resolveExportTarget(exportsMap[pattern], patternConditions);
+
+	if (!target?.includes("*")) {
+		throw new Error(`Cannot find files for the subpath pattern: ${pattern}`);
+	}
+
+	const [targetPrefix, targetSuffix] = target.replace(/^\.\//, "").split("*");
+	const [subpathPrefix, subpathSuffix] = pattern.split("*");
+
+	const files = (await filesInDir(packageDir))
+		.map((file) => relative(packageDir, file).replaceAll("\\", "/"))
+		.filter((file) => !file.includes("node_modules/"));
+
+	/** @type {Set<string>} */
+	const subpaths = new Set();
+
+	for (const file of files) {
+		if (
+			file.length > targetPrefix.length + targetSuffix.length &&
+			file.startsWith(targetPrefix) &&
+			file.endsWith(targetSuffix)
+		) {
+			const match = file.substring(
+				targetPrefix.length,
+				file.length - targetSuffix.length,
+			);
+			const subpath = `${subpathPrefix}${match}${subpathSuffix}`;
+			// patterns excluded with `null` targets are not importable
+			if (
+				resolveExportTarget(
+					exportsMap[findMatchingKey(exportsMap, subpath) ?? pattern],
+					patternConditions,
+				)
+			) {
+				subpaths.add(subpath);
+			}
+		}
+	}
+
+	if (!subpaths.size) {
+		throw new Error(`No files match the subpath pattern: ${pattern}`);
+	}
+
+	return [...subpaths].sort();
+}
+
+/**
+ * Finds the most specific exports key for a subpath, the way node does it
+ * @param {Record<string, unknown>} exportsMap
+ * @param {string} subpath
+ * @returns {string | undefined}
+ */
+export function findMatchingKey(exportsMap, subpath) {
+	if (subpath in exportsMap) {
+		return subpath;
+	}
+	let bestKey;
+	for (const key of Object.keys(exportsMap)) {
+		const [prefix, suffix] = key.split("*");
+		if (
+			suffix !== undefined &&
+			subpath.startsWith(prefix) &&
+			subpath.endsWith(suffix) &&
+			subpath.length >= key.length &&
+			(!bestKey || key.length > bestKey.length)
+		) {
+			bestKey = key;
+		}
+	}
+	return bestKey;
+}
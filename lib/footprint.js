@@ -0,0 +1,241 @@
+// system imports
+import { readFile, realpath, stat } from "node:fs/promises";
+import { join, relative, sep } from "node:path";
+
+// types
+/**
+ * Installed copy of a package, nested copies of other versions have their own entries
+ * @typedef {Object} InstallEntry
+ * @property {string} name
+ * @property {string | undefined} version
+ * @property {string} path directory relative to node_modules, e.g. `a/node_modules/b`
+ * @property {number} size bytes on disk
+ * @property {number} files
+ * @property {string[]} [chain] shortest chain of dependencies that installs the package, from the measured package, e.g. `["react-dom@18.3.1", "scheduler@0.23.2"]`
+ * @property {string[]} [requiredBy] `name@version` of the packages that depend on it
+ */
+
+/**
+ * Package installed at several versions
+ * @typedef {Object} DuplicatePackage
+ * @property {string} name
+ * @property {DuplicateVersion[]} versions largest in node_modules first
+ */
+
+/**
+ * @typedef {Object} DuplicateVersion
+ * @property {string} version
+ * @property {string[]} paths directories of the copies relative to node_modules, the same version can be installed several times
+ * @property {number} nodeModulesSize bytes of all the copies
+ * @property {number} bundleSize bytes added to the bundle, 0 when the version is not bundled
+ * @property {string[]} [chain] shortest chain of dependencies that installs the version
+ * @property {string[]} [requiredBy] `name@version` of the packages that depend on the version
+ */
+
+/**
+ * Dependency tree printed by the package manager
+ * @typedef {Object} DependencyNode
+ * @property {string} name
+ * @property {string | undefined} version
+ * @property {DependencyNode[]} dependencies
+ */
+
+/**
+ * Groups the files of node_modules by the installed package they belong to, the largest package goes first.
+ * Files outside of packages (lockfiles and metadata of the package manager) are left out
+ * @param {string} nodeModulesDir
+ * @param {string[]} files as listed by `filesInDir`
+ * @returns {Promise<InstallEntry[]>}
+ */
+export async function getInstallFootprint(nodeModulesDir, files) {
+	/** @type {Map<string, { size: number, files: number }>} */
+	const packages = new Map();
+
+	const realDir = await realpath(nodeModulesDir);
+
+	/**
+	 * @param {string} dir
+	 * @param {string} file
+	 */
+	const toPackagePath = (dir, file) =>
+		getPackagePath(relative(dir, file).split(sep).join("/"));
+
+	await Promise.all(
+		files.map(async (file) => {
+			// files listed through the links in `.bin` belong to the package they point to
+			const packagePath =
+				toPackagePath(nodeModulesDir, file) ??
+				toPackagePath(realDir, await realpath(file));
+			if (!packagePath) {
+				return;
+			}
+			const { size } = await stat(file);
+			const entry = packages.get(packagePath) ?? { size: 0, files: 0 };
+			entry.size += size;
+			entry.files++;
+			packages.set(packagePath, entry);
+		}),
+	);
+
+	const entries = await Promise.all(
+		[...packages].map(async ([path, { size, files }]) => {
+			const manifest = await readFile(
+				join(nodeModulesDir, path, "package.json"),
+				"utf8",
+			)
+				.then((json) => JSON.parse(json))
+				.catch(() => undefined);
+			return {
+				name:
+					typeof manifest?.name === "string" ? manifest.name : getName(path),
+				version:
+					typeof manifest?.version === "string" ? manifest.version : undefined,
+				path,
+				size,
+				files,
+			};
+		}),
+	);
+
+	return entries.sort(
+		(a, b) => b.size - a.size || a.path.localeCompare(b.path),
+	);
+}
+
+/**
+ * Adds the chains of the dependency tree to the entries with the same name and version
+ * @param {InstallEntry[]} entries
+ * @param {DependencyNode[] | undefined} tree
+ * @returns {InstallEntry[]}
+ */
+export function addDependencyChains(entries, tree) {
+	if (!tree) {
+		return entries;
+	}
+	const chains = getDependencyChains(tree);
+	return entries.map((entry) => {
+		const data = chains.get(`${entry.name}@${entry.version}`);
+		return data
+			? {
+					...entry,
+					chain: data.chain,
+					...(data.requiredBy.size && { requiredBy: [...data.requiredBy] }),
+				}
+			: entry;
+	});
+}
+
+/**
+ * Packages with copies at different versions, the package with the largest copies goes first
+ * @param {InstallEntry[]} entries result of `addDependencyChains`
+ * @param {Map<string, number>} bundledCopies bundled bytes by `name@version`
+ * @returns {DuplicatePackage[]}
+ */
+export function findDuplicates(entries, bundledCopies) {
+	/** @type {Map<string, Map<string, DuplicateVersion>>} */
+	const packages = new Map();
+
+	for (const entry of entries) {
+		if (entry.version === undefined) {
+			continue;
+		}
+		const versions = packages.get(entry.name) ?? new Map();
+		const known = versions.get(entry.version);
+		versions.set(
+			entry.version,
+			known
+				? {
+						...known,
+						paths: [...known.paths, entry.path],
+						nodeModulesSize: known.nodeModulesSize + entry.size,
+					}
+				: {
+						version: entry.version,
+						paths: [entry.path],
+						nodeModulesSize: entry.size,
+						bundleSize:
+							bundledCopies.get(`${entry.name}@${entry.version}`) ?? 0,
+						...(entry.chain && { chain: entry.chain }),
+						...(entry.requiredBy && { requiredBy: entry.requiredBy }),
+					},
+		);
+		packages.set(entry.name, versions);
+	}
+
+	/** @param {DuplicateVersion[]} versions */
+	const totalSize = (versions) =>
+		versions.reduce((result, version) => result + version.nodeModulesSize, 0);
+
+	return [...packages]
+		.filter(([, versions]) => versions.size > 1)
+		.map(([name, versions]) => ({
+			name,
+			versions: [...versions.values()].sort(
+				(a, b) => b.nodeModulesSize - a.nodeModulesSize,
+			),
+		}))
+		.sort((a, b) => totalSize(b.versions) - totalSize(a.versions));
+}
+
+/**
+ * Breadth first, so the first chain found for a package is the shortest one,
+ * the dependencies of a package are walked once, the tree repeats them for every dependent
+ * @param {DependencyNode[]} tree
+ */
+function getDependencyChains(tree) {
+	/** @type {Map<string, { chain: string[], requiredBy: Set<string> }>} */
+	const chains = new Map();
+	/** @type {[DependencyNode, string[]][]} */
+	const queue = tree.map((node) => [node, []]);
+
+	for (let index = 0; index < queue.length; index++) {
+		const [node, parentChain] = queue[index];
+		const key = `${node.name}@${node.version}`;
+		const parent = parentChain.at(-1);
+		const known = chains.get(key);
+		if (known) {
+			if (parent) {
+				known.requiredBy.add(parent);
+			}
+			continue;
+		}
+		const chain = [...parentChain, key];
+		chains.set(key, {
+			chain,
+			requiredBy: new Set(parent ? [parent] : []),
+		});
+		for (const dependency of node.dependencies) {
+			queue.push([dependency, chain]);
+		}
+	}
+
+	return chains;
+}
+
+/**
+ * `a/node_modules/@scope/b/lib/index.js` -> `a/node_modules/@scope/b`
+ * @param {string} path posix path relative to node_modules
+ * @returns {string | undefined}
+ */
+function getPackagePath(path) {
+	const segments = path.split("/");
+	const start = segments.lastIndexOf("node_modules") + 1;
+	const nameLength = segments[start]?.startsWith("@") ? 2 : 1;
+	// the last segment is the file itself
+	if (
+		segments[start]?.startsWith(".") ||
+		start + nameLength >= segments.length
+	) {
+		return undefined;
+	}
+	return segments.slice(0, start + nameLength).join("/");
+}
+
+/**
+ * @param {string} path
+ */
+function getName(path) {
+	const segments = path.split("/");
+	const start = segments.lastIndexOf("node_modules") + 1;
+	return segments.slice(start).join("/");
+}
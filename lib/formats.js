@@ -0,0 +1,281 @@
+// local imports
+import { formatReportName, resultCaptions } from "./report.js";
+import { sizeParts } from "./utils.js";
+
+// types
+/** @typedef {'text' | 'json' | 'markdown' | 'csv' | 'ndjson'} Format */
+
+/**
+ * @typedef {Object} FormatFlags
+ * @property {boolean} [json]
+ * @property {string} [format]
+ * @property {boolean} [rawBytes] sizes in bytes instead of KiB / MiB
+ */
+
+export const formats = /** @type {Format[]} */ ([
+	"text",
+	"json",
+	"markdown",
+	"csv",
+	"ndjson",
+]);
+
+/**
+ * @param {FormatFlags} flags
+ */
+export function validateFormat(flags) {
+	if (
+		flags.format !== undefined &&
+		!formats.includes(/** @type {Format} */ (flags.format))
+	) {
+		return [
+			`Unknown format: ${flags.format} (expected ${formats.slice(0, -1).join(", ")} or ${formats.at(-1)})`,
+		];
+	}
+	if (flags.json && flags.format !== undefined && flags.format !== "json") {
+		return ["Cannot use --json and --format flags together"];
+	}
+	return [];
+}
+
+/**
+ * `--json` is a shorthand for `--format json`
+ * @param {FormatFlags} flags
+ * @returns {Format}
+ */
+export function getFormat(flags) {
+	return flags.json ? "json" : /** @type {Format} */ (flags.format ?? "text");
+}
+
+/**
+ * GitHub flavored tables, a comparison table goes first when there are several reports
+ * @param {import('./measure.js').Report[]} reports
+ * @param {FormatFlags} flags
+ */
+export function printMarkdown(reports, flags) {
+	/** @type {string[]} */
+	const sections = [];
+
+	if (reports.length > 1) {
+		const ids = getResultIds(reports);
+		sections.push(
+			markdownTable(
+				["", ...reports.map(formatReportName)],
+				ids.map((id) => [
+					resultCaptions[id],
+					...reports.map((report) => {
+						const result = report.results.find((result) => result.id === id);
+						return result ? formatValue(result.value, result.unit, flags) : "-";
+					}),
+				]),
+				["left", ...reports.map(() => /** @type {const} */ ("right"))],
+			),
+		);
+	}
+
+	for (const report of reports) {
+		sections.push(renderMarkdownReport(report, flags));
+	}
+
+	console.log(sections.join("\n\n"));
+}
+
+/**
+ * One metric per row, the header goes first
+ * @param {import('./measure.js').Report[]} reports
+ * @param {FormatFlags} flags
+ */
+export function printCsv(reports, flags) {
+	const rows = [
+		["package", "version", "conditions", "metric", "value", "unit"],
+	];
+	for (const report of reports) {
+		for (const result of report.results) {
+			const [value, unit] =
+				result.unit === "bytes" && !flags.rawBytes
+					? sizeParts(result.value)
+					: [String(result.value), result.unit];
+			rows.push([
+				report.metadata.name,
+				report.metadata.version ?? "",
+				report.metadata.conditions?.join(",") ?? "",
+				result.id,
+				value,
+				unit,
+			]);
+		}
+	}
+	console.log(rows.map((row) => row.map(csvField).join(",")).join("\n"));
+}
+
+/**
+ * A line per report, printed as soon as the package is measured
+ * @param {import('./measure.js').Report} report
+ */
+export function printNdjson(report) {
+	console.log(JSON.stringify(report));
+}
+
+/**
+ * @param {import('./measure.js').Report} report
+ * @param {FormatFlags} flags
+ */
+function renderMarkdownReport(report, flags) {
+	const { includedExports, budgets } = report;
+	const sections = [`### ${formatReportName(report)}`];
+
+	sections.push(
+		markdownTable(
+			budgets ? ["", "size", "budget"] : ["", "size"],
+			report.results.map((result) => {
+				const row = [
+					resultCaptions[result.id],
+					formatValue(result.value, result.unit, flags),
+				];
+				const budget = budgets?.find((budget) => budget.id === result.id);
+				return budgets
+					? [
+							...row,
+							budget
+								? `${budget.status === "pass" ? "✅ within" : "❌ over"} budget (${formatValue(budget.limit, budget.id === "nodeModulesFiles" ? "files" : "bytes", flags)})`
+								: "",
+						]
+					: row;
+			}),
+			budgets ? ["left", "right", "left"] : ["left", "right"],
+		),
+	);
+
+	if (includedExports.length) {
+		// sizes of the files used only by the subpath are there when several subpaths are measured
+		const sizeIds =
+			includedExports[0].results?.map((result) => result.id) ?? [];
+		sections.push(
+			markdownTable(
+				[
+					"subpath",
+					"default export",
+					...sizeIds.map((id) => resultCaptions[id]),
+				],
+				[
+					...includedExports.map((data) => [
+						`\`${data.export}\`${data.pattern ? ` (\`${data.pattern}\`)` : ""}${data.condition ? ` [${data.condition}]` : ""}${data.imports ? ` { ${data.imports.join(", ")} }` : ""}`,
+						data.defaultExport ? "yes" : "no",
+						...sizeIds.map((id) =>
+							formatBreakdownValue(data.results, id, flags),
+						),
+					]),
+					...(report.shared
+						? [
+								[
+									"_shared_",
+									"",
+									...sizeIds.map((id) =>
+										formatBreakdownValue(report.shared?.results, id, flags),
+									),
+								],
+							]
+						: []),
+				],
+				["left", "left", ...sizeIds.map(() => /** @type {const} */ ("right"))],
+			),
+		);
+	}
+
+	if (report.composition.length) {
+		const compressed = new Map(report.compositionCompressed);
+		const methods = /** @type {const} */ (["gzip", "brotli"]).filter((method) =>
+			[...compressed.values()].some((sizes) => sizes[method] !== undefined),
+		);
+		// the package itself goes first, dependencies are sorted by size
+		const composition = [
+			...report.composition.filter(
+				([pkgName]) => pkgName === report.metadata.name,
+			),
+			...report.composition
+				.filter(([pkgName]) => pkgName !== report.metadata.name)
+				.sort((a, b) => b[1] - a[1]),
+		];
+		sections.push(
+			markdownTable(
+				["package", "minified", ...methods.map((method) => `~${method}`)],
+				composition.map(([pkgName, size]) => [
+					pkgName === report.metadata.name ? `${pkgName} (self)` : pkgName,
+					formatValue(size, "bytes", flags),
+					...methods.map((method) => {
+						const value = compressed.get(pkgName)?.[method];
+						return value === undefined
+							? ""
+							: `~${formatValue(value, "bytes", flags)}`;
+					}),
+				]),
+				["left", "right", ...methods.map(() => /** @type {const} */ ("right"))],
+			),
+		);
+	}
+
+	return sections.join("\n\n");
+}
+
+/**
+ * @param {string[]} header
+ * @param {string[][]} rows
+ * @param {('left' | 'right')[]} align
+ */
+function markdownTable(header, rows, align) {
+	return [
+		header,
+		align.map((side) => (side === "right" ? "---:" : "---")),
+		...rows,
+	]
+		.map((row) => `| ${row.map(markdownCell).join(" | ")} |`)
+		.join("\n");
+}
+
+/**
+ * @param {string} text
+ */
+function markdownCell(text) {
+	return text.replace(/\|/g, "\\|");
+}
+
+/**
+ * @param {string} text
+ */
+function csvField(text) {
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {number} value
+ * @param {string} unit
+ * @param {FormatFlags} flags
+ */
+function formatValue(value, unit, flags) {
+	if (unit !== "bytes") {
+		return String(value);
+	}
+	return flags.rawBytes ? `${value} bytes` : sizeParts(value).join(" ");
+}
+
+/**
+ * @param {import('./measure.js').Result[] | undefined} results
+ * @param {keyof typeof resultCaptions} id
+ * @param {FormatFlags} flags
+ */
+function formatBreakdownValue(results, id, flags) {
+	const result = results?.find((result) => result.id === id);
+	return result ? formatValue(result.value, result.unit, flags) : "-";
+}
+
+/**
+ * Metrics present in any of the reports, in the order of the captions
+ * @param {import('./measure.js').Report[]} reports
+ */
+function getResultIds(reports) {
+	return /** @type {(keyof typeof resultCaptions)[]} */ (
+		Object.keys(resultCaptions)
+	).filter((id) =>
+		reports.some((report) => report.results.some((result) => result.id === id)),
+	);
+}
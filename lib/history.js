@@ -0,0 +1,165 @@
+// local imports
+import { execNpm } from "./npmrc.js";
+
+/**
+ * @typedef {Object} HistoryOptions
+ * @property {string} [versions] semver range of versions to measure
+ * @property {number} [last] number of the latest stable versions to measure
+ * @property {string} [registry]
+ * @property {string} [npmrc]
+ */
+
+/**
+ * @typedef {Object} LargestIncrease
+ * @property {string} version
+ * @property {string} previousVersion
+ * @property {keyof typeof import('./report.js').resultCaptions} id
+ * @property {number} delta
+ */
+
+/**
+ * Reads the version list from the registry, oldest version first
+ * @param {string} packageName
+ * @param {HistoryOptions} options
+ * @returns {Promise<string[]>}
+ */
+export async function resolveVersions(
+	packageName,
+	{ versions, last, registry, npmrc },
+) {
+	const registryFlag = registry ? ` --registry=${registry}` : "";
+
+	// the registry lists versions in the order they are published, backports of old majors go after newer versions
+	const allVersions = /** @type {string[]} */ (
+		[
+			JSON.parse(
+				await execNpm(
+					`npm view "${packageName}" versions --json${registryFlag}`,
+					npmrc,
+				),
+			),
+		].flat()
+	).sort(compareVersions);
+
+	if (versions) {
+		// npm resolves the range itself, output is empty when nothing matches
+		const matching = await execNpm(
+			`npm view "${packageName}@${versions}" version --json${registryFlag}`,
+			npmrc,
+		);
+		const matchingSet = new Set(
+			matching.trim() ? [JSON.parse(matching)].flat() : [],
+		);
+		return allVersions.filter((version) => matchingSet.has(version));
+	}
+
+	const stableVersions = allVersions.filter((version) => !version.includes("-"));
+
+	return last ? stableVersions.slice(-last) : stableVersions;
+}
+
+/**
+ * Finds the version with the largest size increase over the previous one,
+ * compressed size is preferred because that is what users download
+ * @param {import('./measure.js').Report[]} reports reports ordered from the oldest version
+ * @returns {LargestIncrease | null}
+ */
+export function findLargestIncrease(reports) {
+	const id = reports.some((report) =>
+		report.results.some((result) => result.id === "sizeMinifiedGzipped"),
+	)
+		? "sizeMinifiedGzipped"
+		: "sizeMinified";
+
+	/** @type {LargestIncrease | null} */
+	let largest = null;
+
+	for (let index = 1; index < reports.length; index++) {
+		const previous = getResultValue(reports[index - 1], id);
+		const current = getResultValue(reports[index], id);
+		if (previous === undefined || current === undefined) {
+			continue;
+		}
+		const delta = current - previous;
+		if (delta > 0 && (!largest || delta > largest.delta)) {
+			largest = {
+				version: String(reports[index].metadata.version),
+				previousVersion: String(reports[index - 1].metadata.version),
+				id,
+				delta,
+			};
+		}
+	}
+
+	return largest;
+}
+
+/**
+ * Semver precedence: `1.0.0-beta.2` < `1.0.0-beta.10` < `1.0.0` < `1.0.1`, build metadata is ignored
+ * @param {string} a
+ * @param {string} b
+ */
+function compareVersions(a, b) {
+	const versionA = parseVersion(a);
+	const versionB = parseVersion(b);
+
+	for (let index = 0; index < 3; index++) {
+		const delta =
+			(versionA.numbers[index] ?? 0) - (versionB.numbers[index] ?? 0);
+		if (delta) {
+			return delta;
+		}
+	}
+
+	// a prerelease goes before its release
+	if (!versionA.prerelease.length || !versionB.prerelease.length) {
+		return versionB.prerelease.length - versionA.prerelease.length;
+	}
+
+	const length = Math.max(
+		versionA.prerelease.length,
+		versionB.prerelease.length,
+	);
+	for (let index = 0; index < length; index++) {
+		const idA = versionA.prerelease[index];
+		const idB = versionB.prerelease[index];
+		if (idA === undefined || idB === undefined) {
+			return idA === undefined ? -1 : 1;
+		}
+		const isNumberA = /^\d+$/.test(idA);
+		const isNumberB = /^\d+$/.test(idB);
+		if (isNumberA && isNumberB) {
+			const delta = Number(idA) - Number(idB);
+			if (delta) {
+				return delta;
+			}
+		} else if (isNumberA !== isNumberB) {
+			// numeric identifiers go before alphanumeric ones
+			return isNumberA ? -1 : 1;
+		} else if (idA !== idB) {
+			return idA < idB ? -1 : 1;
+		}
+	}
+
+	return 0;
+}
+
+/**
+ * `1.2.3-beta.1+build` -> `{ numbers: [1, 2, 3], prerelease: ["beta", "1"] }`
+ * @param {string} version
+ */
+function parseVersion(version) {
+	const [main, ...prerelease] = version.split("+")[0].split("-");
+	return {
+		numbers: main.split(".").map(Number),
+		prerelease: prerelease.length ? prerelease.join("-").split(".") : [],
+	};
+}
+
+/**
+ * @param {import('./measure.js').Report} report
+ * @param {string} id
+ */
+export function getResultValue(report, id) {
+	return report.results.find((result) => result.id === id)?.value;
+}
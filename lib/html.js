@@ -0,0 +1,285 @@
+// system imports
+import { writeFile } from "node:fs/promises";
+// local imports
+import { normalizeExportName } from "./exports.js";
+import { formatReportName, resultCaptions } from "./report.js";
+import { sizeParts } from "./utils.js";
+
+// types
+/**
+ * Node of the treemap: a package with its source files or a single file
+ * @typedef {Object} TreemapNode
+ * @property {string} name
+ * @property {number} size
+ * @property {TreemapNode[]} [children]
+ */
+
+const styles = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+section { margin-bottom: 48px; }
+h1 { font-size: 22px; }
+h2 { font-size: 16px; margin-top: 24px; }
+table { border-collapse: collapse; }
+th, td { padding: 4px 12px 4px 0; text-align: left; vertical-align: top; }
+th { color: #777; font-weight: normal; }
+td.size { text-align: right; white-space: nowrap; }
+.muted { color: #777; }
+.over { color: #c00; }
+.pass { color: #080; }
+.breadcrumbs { margin: 8px 0; }
+.breadcrumbs a { cursor: pointer; color: #06c; }
+.treemap { position: relative; height: 480px; border: 1px solid #ccc; overflow: hidden; }
+.treemap div { position: absolute; box-sizing: border-box; border: 1px solid #fff; overflow: hidden; font-size: 12px; padding: 2px 4px; white-space: nowrap; text-overflow: ellipsis; }
+.treemap div.zoomable { cursor: zoom-in; }
+`;
+
+// runs in the browser: squarified treemap of every report, a click on a package shows its files
+const script = `
+const reports = JSON.parse(document.getElementById("pkgsz-data").textContent);
+
+function formatSize(size) {
+	if (size < 1024) return size + " bytes";
+	if (size < 1024 * 1024) return (size / 1024).toFixed(2) + " KiB";
+	return (size / 1024 / 1024).toFixed(2) + " MiB";
+}
+
+function worst(row, side) {
+	const sum = row.reduce((result, item) => result + item.area, 0);
+	const max = Math.max(...row.map((item) => item.area));
+	const min = Math.min(...row.map((item) => item.area));
+	return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+}
+
+function squarify(nodes, rect) {
+	const total = nodes.reduce((result, node) => result + node.size, 0);
+	const items = nodes.map((node) => ({ node, area: (node.size / total) * rect.w * rect.h }));
+	const placed = [];
+	let { x, y, w, h } = rect;
+	let row = [];
+	const place = () => {
+		const sum = row.reduce((result, item) => result + item.area, 0);
+		if (w >= h) {
+			const width = sum / h;
+			let top = y;
+			for (const item of row) {
+				placed.push({ node: item.node, x, y: top, w: width, h: item.area / width });
+				top += item.area / width;
+			}
+			x += width;
+			w -= width;
+		} else {
+			const height = sum / w;
+			let left = x;
+			for (const item of row) {
+				placed.push({ node: item.node, x: left, y, w: item.area / height, h: height });
+				left += item.area / height;
+			}
+			y += height;
+			h -= height;
+		}
+		row = [];
+	};
+	for (const item of items) {
+		const side = Math.min(w, h);
+		if (row.length && worst([...row, item], side) > worst(row, side)) {
+			place();
+		}
+		row.push(item);
+	}
+	if (row.length) place();
+	return placed;
+}
+
+function color(name) {
+	if (name.startsWith("[")) return "hsl(0, 0%, 80%)";
+	let hash = 0;
+	for (const char of name) hash = (hash * 31 + char.charCodeAt(0)) % 360;
+	return "hsl(" + hash + ", 55%, 70%)";
+}
+
+function render(container, breadcrumbs, path) {
+	const node = path.at(-1);
+	const root = path[0];
+	container.replaceChildren();
+	breadcrumbs.replaceChildren();
+	path.forEach((item, index) => {
+		if (index) breadcrumbs.append(" / ");
+		const link = document.createElement(index < path.length - 1 ? "a" : "span");
+		link.textContent = item.name;
+		link.onclick = () => render(container, breadcrumbs, path.slice(0, index + 1));
+		breadcrumbs.append(link);
+	});
+	const children = node.children.filter((child) => child.size > 0).sort((a, b) => b.size - a.size);
+	const rect = { x: 0, y: 0, w: container.clientWidth, h: container.clientHeight };
+	for (const { node: child, x, y, w, h } of squarify(children, rect)) {
+		const tile = document.createElement("div");
+		tile.style.cssText = "left:" + x + "px;top:" + y + "px;width:" + w + "px;height:" + h + "px;background:" + color(path.length > 1 ? node.name : child.name);
+		tile.textContent = child.name + " " + formatSize(child.size);
+		tile.title = child.name + "\\n" + formatSize(child.size) + " (" + ((child.size / root.size) * 100).toFixed(1) + "% of the bundle)";
+		if (child.children && child.children.length) {
+			tile.className = "zoomable";
+			tile.onclick = () => render(container, breadcrumbs, [...path, child]);
+		}
+		container.append(tile);
+	}
+}
+
+document.querySelectorAll(".treemap").forEach((container) => {
+	const breadcrumbs = container.previousElementSibling;
+	const draw = () => render(container, breadcrumbs, [reports[Number(container.dataset.report)]]);
+	draw();
+	window.addEventListener("resize", draw);
+});
+`;
+
+/**
+ * Writes a self-contained page with the results, the exports, the composition and its treemap of every report,
+ * it does not load anything, so it can be opened offline or attached to CI artifacts
+ * @param {string} file
+ * @param {import('./measure.js').Report[]} reports
+ */
+export async function writeHtmlReport(file, reports) {
+	const title = `Package size: ${reports.map(formatReportName).join(", ")}`;
+	const trees = reports.map(getTreemapData);
+	const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${styles}</style>
+</head>
+<body>
+${reports.map(renderReport).join("\n")}
+<script id="pkgsz-data" type="application/json">${JSON.stringify(trees).replace(/</g, "\\u003c")}</script>
+<script>${script}</script>
+</body>
+</html>
+`;
+	await writeFile(file, html);
+}
+
+/**
+ * @param {import('./measure.js').Report} report
+ * @param {number} index
+ */
+function renderReport(report, index) {
+	const compressed = new Map(report.compositionCompressed);
+	const methods = /** @type {const} */ (["gzip", "brotli"]).filter((method) =>
+		[...compressed.values()].some((sizes) => sizes[method] !== undefined),
+	);
+	// sizes of the files used only by the subpath are there when several subpaths are measured
+	const sizeIds =
+		report.includedExports[0]?.results?.map((result) => result.id) ?? [];
+	const composition = [...report.composition].sort((a, b) => b[1] - a[1]);
+	const total = composition.reduce((result, [, size]) => result + size, 0);
+	// measured subpaths are named without `./`, patterns are measured through their expansions
+	const notMeasured = report.exports.filter(
+		(name) =>
+			!report.includedExports.some(
+				(data) =>
+					data.export === normalizeExportName(name) || data.pattern === name,
+			),
+	);
+
+	return `<section>
+<h1>${escapeHtml(formatReportName(report))}</h1>
+<table>
+${report.results
+	.map((result) => {
+		const budget = report.budgets?.find((budget) => budget.id === result.id);
+		return `<tr><td>${resultCaptions[result.id]}</td><td class="size">${formatValue(result.value, result.unit)}</td>${
+			budget
+				? `<td class="${budget.status === "pass" ? "pass" : "over"}">${budget.status === "pass" ? "within" : "over"} budget (${formatValue(budget.limit, budget.id === "nodeModulesFiles" ? "files" : "bytes")})</td>`
+				: ""
+		}</tr>`;
+	})
+	.join("\n")}
+</table>
+<h2>Exports</h2>
+<table>
+${sizeIds.length ? `<tr><th>subpath</th><th></th>${sizeIds.map((id) => `<th>${resultCaptions[id]}</th>`).join("")}</tr>` : ""}
+${report.includedExports
+	.map(
+		(data) =>
+			`<tr><td>${escapeHtml(data.export)}${data.pattern ? ` <span class="muted">(${escapeHtml(data.pattern)})</span>` : ""}${data.condition ? ` <span class="muted">[${escapeHtml(data.condition)}]</span>` : ""}</td><td>${
+				data.imports
+					? `{ ${escapeHtml(data.imports.join(", "))} }`
+					: data.defaultExport
+						? "default export"
+						: "no default export"
+			}</td>${(data.results ?? []).map((result) => `<td class="size">${formatValue(result.value, result.unit)}</td>`).join("")}</tr>`,
+	)
+	.join("\n")}
+${
+	report.shared
+		? `<tr><td class="muted">shared</td><td></td>${report.shared.results.map((result) => `<td class="size">${formatValue(result.value, result.unit)}</td>`).join("")}</tr>`
+		: ""
+}
+</table>
+${
+	notMeasured.length
+		? `<p class="muted">Not measured: ${notMeasured.map(escapeHtml).join(", ")}</p>`
+		: ""
+}
+<h2>Composition</h2>
+<table>
+<tr><th>package</th><th>minified</th><th>share</th>${methods.map((method) => `<th>~${method}</th>`).join("")}</tr>
+${composition
+	.map(
+		([pkgName, size]) =>
+			`<tr><td>${escapeHtml(pkgName)}</td><td class="size">${formatValue(size, "bytes")}</td><td class="size">${total ? ((size / total) * 100).toFixed(1) : 0}%</td>${methods
+				.map((method) => {
+					const value = compressed.get(pkgName)?.[method];
+					return `<td class="size">${value === undefined ? "" : formatValue(value, "bytes")}</td>`;
+				})
+				.join("")}</tr>`,
+	)
+	.join("\n")}
+</table>
+<div class="breadcrumbs"></div>
+<div class="treemap" data-report="${index}"></div>
+</section>`;
+}
+
+/**
+ * Packages of the composition with their source files
+ * @param {import('./measure.js').Report} report
+ * @returns {TreemapNode}
+ */
+function getTreemapData(report) {
+	const files = new Map(report.compositionFiles);
+	const children = report.composition.map(([pkgName, size]) => ({
+		name: pkgName,
+		size,
+		...(files.has(pkgName) && {
+			children: /** @type {[string, number][]} */ (files.get(pkgName)).map(
+				([fileName, fileSize]) => ({ name: fileName, size: fileSize }),
+			),
+		}),
+	}));
+	return {
+		name: formatReportName(report),
+		size: children.reduce((result, child) => result + child.size, 0),
+		children,
+	};
+}
+
+/**
+ * @param {number} value
+ * @param {string} unit
+ */
+function formatValue(value, unit) {
+	return unit === "bytes" ? sizeParts(value).join(" ") : String(value);
+}
+
+/**
+ * @param {string} text
+ */
+function escapeHtml(text) {
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
@@ -0,0 +1,3 @@
+export { diffReports } from "./diff.js";
+export { createLogger } from "./logger.js";
+export { measurePackage } from "./measure.js";
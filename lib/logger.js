@@ -0,0 +1,101 @@
+// 3rd party imports
+import { createLogger as createNicetiesLogger } from "@niceties/logger";
+
+/**
+ * @typedef {ReturnType<typeof createLogger>} Logger
+ */
+
+/**
+ * Creates a progress logger, pass `quiet` to get one that prints nothing
+ * @param {boolean} [quiet]
+ */
+export function createLogger(quiet = false) {
+	/** @type {ReturnType<typeof createNicetiesLogger> | undefined} */
+	let nicetiesLogger;
+	let currentText = "";
+	let started = false;
+	return {
+		/**
+		 * @param {string} message
+		 */
+		start(message) {
+			currentText = message;
+			if (quiet) return;
+			if (!started) {
+				nicetiesLogger = createNicetiesLogger();
+				nicetiesLogger.start(message);
+				started = true;
+			} else {
+				nicetiesLogger?.update(message);
+			}
+		},
+		/**
+		 * @param {string} message
+		 */
+		fail(message) {
+			currentText = message;
+			if (quiet) return;
+			nicetiesLogger?.finish(message, 3);
+			started = false;
+			nicetiesLogger = undefined;
+		},
+		/**
+		 * @param {string} message
+		 */
+		succeed(message) {
+			currentText = message;
+			if (quiet) return;
+			nicetiesLogger?.finish(message);
+			started = false;
+			nicetiesLogger = undefined;
+		},
+
+		stop() {
+			if (started) {
+				nicetiesLogger?.finish("");
+				started = false;
+				nicetiesLogger = undefined;
+			}
+		},
+
+		get text() {
+			return currentText;
+		},
+
+		/**
+		 * @param {...unknown} message
+		 */
+		log(...message) {
+			if (!quiet) {
+				console.log(...message);
+			}
+		},
+
+		/**
+		 * @param {...unknown} message
+		 */
+		warn(...message) {
+			if (!quiet) {
+				console.warn(...message);
+			}
+		},
+
+		/**
+		 * @param {...unknown} message
+		 */
+		error(...message) {
+			if (!quiet) {
+				console.error(...message);
+			}
+		},
+
+		makeQuiet() {
+			quiet = true;
+			if (started) {
+				nicetiesLogger?.finish("");
+				started = false;
+			}
+			nicetiesLogger = undefined;
+		},
+	};
+}
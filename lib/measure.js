@@ -0,0 +1,1699 @@
+// system imports
+import { mkdir, mkdtemp, readFile, rm, stat, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+// 3rd party imports
+import { blue, gray, green, yellow } from "@niceties/ansi";
+import prompt from "prompts";
+import { readPackageUp } from "read-package-up";
+// local imports
+import { checkBudgets, hasBudgets, validateBudgets } from "./budgets.js";
+import { getBundler, validateBundler } from "./bundlers.js";
+import { collectEntryFiles, splitByEntries } from "./chunks.js";
+import { resolvePlugins } from "./config.js";
+import {
+	collectsFiles,
+	compressComposition,
+	createCompositionKeys,
+	scaleCompressedComposition,
+} from "./composition.js";
+import {
+	openCache,
+	openInstalledCache,
+	readCachedReport,
+	restoreInstall,
+	saveInstall,
+	validateCache,
+	writeCachedReport,
+} from "./cache.js";
+import {
+	defaultConditions,
+	expandSubpathPattern,
+	findMatchingKey,
+	matchExportConditions,
+	normalizeExportName,
+	normalizeExportsMap,
+} from "./exports.js";
+import {
+	addDependencyChains,
+	findDuplicates,
+	getInstallFootprint,
+} from "./footprint.js";
+import { createLogger } from "./logger.js";
+import { readNpmrc, withNpmrc } from "./npmrc.js";
+import { getPackageManager, validatePackageManager } from "./package-managers.js";
+import { execPkgbld, needsPlugin, pluginName } from "./pkgbld/index.js";
+import {
+	compareSideEffects,
+	readSideEffectsField,
+	unusedResultIds,
+} from "./side-effects.js";
+import { packTarball } from "./tarball.js";
+import {
+	dirCompressedSize,
+	dirSize,
+	execEx,
+	filesInDir,
+	readFileFromTarball,
+} from "./utils.js";
+import {
+	hasWorkspaceDependencies,
+	stageWorkspacePackage,
+} from "./workspaces.js";
+
+const smeBin = fileURLToPath(import.meta.resolve("source-map-explorer/bin/cli.js"));
+
+// types
+/** @typedef {'bytes' | 'count'} Unit */
+/**
+ * @typedef {Object} Result
+ * @property {keyof typeof import('./report.js').resultCaptions} id
+ * @property {number} value
+ * @property {Unit} unit
+ */
+
+/**
+ * @typedef {import('./utils.js').CompressionMethod} CompressionMethod
+ */
+
+/**
+ * @typedef {{ export: string, import: string, hasDefaultExport: boolean, names?: string[], pattern?: string, condition?: string } & Partial<SizeBreakdown>} ExportData
+ */
+
+/**
+ * Sizes of a part of the build, used when several subpaths are measured
+ * @typedef {Object} SizeBreakdown
+ * @property {Result[]} results
+ * @property {[string, number][]} composition
+ */
+
+/**
+ * @typedef {Object} FlagsBase
+ * @property {string} [registry]
+ * @property {string[]} export
+ * @property {string[]} [import] named imports to measure instead of the whole subpath, e.g. `debounce,throttle` or `./fp:map,filter`
+ * @property {boolean} noGzip
+ * @property {boolean} brotli
+ * @property {boolean} noClean
+ * @property {boolean} enableScripts
+ * @property {boolean} interactive
+ * @property {string | string[]} [conditions] extra export conditions, e.g. `browser,production`
+ * @property {import('./package-managers.js').PackageManagerName} [packageManager] used to install the package, npm by default
+ * @property {string} [npmrc] .npmrc used instead of the one of the current project
+ * @property {string} [cacheDir]
+ * @property {boolean} [noCache]
+ * @property {boolean} [offline] measure only what is in the cache
+ * @property {'packages' | 'files'} [composition] `files` adds sizes of the source files of every package
+ * @property {string | number} [top] number of the largest files printed per package
+ * @property {string} [html] path of the HTML report, the file level composition is collected for its treemap
+ * @property {import('./bundlers.js').BundlerName} [bundler] rollup (pkgbld) by default
+ * @property {string[]} [plugin] extra rollup plugins, module names or paths, added after the plugins of the config file
+ * @property {boolean} [tarball] measure the published tarball as well
+ * @property {boolean} [sideEffects] measure the import of the package with nothing used
+ */
+
+/**
+ * @typedef {FlagsBase & import('./budgets.js').Budgets} Flags
+ */
+
+/**
+ * @typedef {Object} MeasureOptions
+ * @property {string} packageName name of the package or path to a local package directory / packed tarball
+ * @property {string} [version]
+ * @property {Partial<Flags>} [flags]
+ * @property {import('./logger.js').Logger} [logger] progress output, quiet by default
+ * @property {string} [configFile] config file (e.g. pkgsz.config.js) with the plugins to build with, its checks are not used
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {{ name: string, version: string | undefined, conditions?: string[], bundler?: string, check?: string }} metadata `check` is the name of the config check the package is measured by
+ * @property {string[]} exports
+ * @property {({ export: string, defaultExport: boolean, imports?: string[], pattern?: string, condition?: string } & Partial<SizeBreakdown>)[]} includedExports sizes of the files used only by the subpath are present when several subpaths are measured
+ * @property {Result[]} results
+ * @property {[string, number][]} composition
+ * @property {[string, { gzip?: number, brotli?: number }][]} [compositionCompressed] estimated compressed sizes of the composition entries, only when there are several packages in the composition
+ * @property {[string, [string, number][]][]} [compositionFiles] sizes of the source files grouped by package, largest first, only with `--composition files` or `--html`
+ * @property {SizeBreakdown} [shared] files used by several subpaths, counted once
+ * @property {import('./footprint.js').InstallEntry[]} [installFootprint] size of every installed package, largest first, only when the package installs dependencies
+ * @property {import('./footprint.js').DuplicatePackage[]} [duplicates] packages installed at several versions
+ * @property {[string, number][]} [tarballContents] files of the published tarball, largest first, only with `--tarball`
+ * @property {import('./side-effects.js').SideEffects} [sideEffects] only with `--side-effects`
+ * @property {import('./budgets.js').BudgetStatus[]} [budgets] only present when budgets are set
+ * @property {import('./diff.js').ReportDiff} [diff] only present when compared with a baseline
+ */
+
+/**
+ * State of a single measurement, every step receives it instead of sharing module globals
+ * @typedef {Object} MeasureContext
+ * @property {string} packageName
+ * @property {string | undefined} version
+ * @property {string | undefined} source `file:` specifier of a local package
+ * @property {Record<string, any> | undefined} localManifest package.json of a local package
+ * @property {Flags} flags
+ * @property {import('./pkgbld/index.js').BuildOptions} buildOptions
+ * @property {import('./logger.js').Logger} logger
+ * @property {import('./package-managers.js').PackageManager | undefined} packageManager set by the install step
+ * @property {import('./cache.js').Cache | undefined} cache not used for local packages and in interactive mode
+ * @property {string} dirName
+ * @property {Record<string, any>} packageJson
+ * @property {string | undefined} packageVersion
+ * @property {string[]} exports
+ * @property {ExportData[]} exportsData
+ * @property {import('./chunks.js').ChunkGraph} chunkGraph files of the build and the chunks they load
+ * @property {Set<Result>} results
+ * @property {Map<string, number>} compositionMap
+ * @property {Map<string, Map<string, number>>} fileCompositions composition of every built file
+ * @property {Map<string, Map<string, number>>} packagesFiles sizes of the source files of every package in the composition
+ * @property {Map<string, number>} bundledCopies bundled bytes of every installed copy, by `name@version`
+ * @property {Map<string, Partial<Record<CompressionMethod, number>>> | undefined} compressedComposition every composition entry compressed on its own
+ * @property {[string, { gzip?: number, brotli?: number }][] | undefined} compositionCompressed
+ * @property {SizeBreakdown | undefined} shared
+ * @property {import('./footprint.js').InstallEntry[] | undefined} installFootprint
+ * @property {import('./footprint.js').DependencyNode[] | undefined} dependencyTree not known for yarn and bun
+ * @property {[string, number][] | undefined} tarballContents
+ * @property {Error | undefined} tarballError failure of `npm pack`, reported once the package is built
+ * @property {import('./side-effects.js').SideEffects | undefined} sideEffects
+ * @property {(() => Promise<void> | void)[]} cleanup
+ * @property {Promise<void>[]} deferred
+ */
+
+/** @type {Flags} */
+const defaultFlags = {
+	export: ["."],
+	noGzip: false,
+	brotli: false,
+	noClean: false,
+	enableScripts: false,
+	interactive: false,
+};
+
+/**
+ * Installs, builds and measures the package in a temporary directory.
+ * Rejects with an error that carries the partial `report` when one of the steps fails.
+ * @param {MeasureOptions} options
+ * @returns {Promise<Report>}
+ */
+export async function measurePackage(options) {
+	/** @type {MeasureContext} */
+	const context = {
+		packageName: options.packageName,
+		version: options.version,
+		source: undefined,
+		localManifest: undefined,
+		flags: { ...defaultFlags, ...options.flags },
+		buildOptions: {},
+		logger: options.logger ?? createLogger(true),
+		packageManager: undefined,
+		cache: undefined,
+		dirName: "",
+		packageJson: {},
+		packageVersion: undefined,
+		exports: [],
+		exportsData: [],
+		chunkGraph: {},
+		results: new Set(),
+		compositionMap: new Map(),
+		fileCompositions: new Map(),
+		packagesFiles: new Map(),
+		bundledCopies: new Map(),
+		compressedComposition: undefined,
+		compositionCompressed: undefined,
+		shared: undefined,
+		installFootprint: undefined,
+		dependencyTree: undefined,
+		tarballContents: undefined,
+		tarballError: undefined,
+		sideEffects: undefined,
+		cleanup: [],
+		deferred: [],
+	};
+
+	const errors = [
+		...validateExports(context.flags.export),
+		...validateImports(context.flags),
+		...validateComposition(context.flags),
+		...validateBudgets(context.flags),
+		...validatePackageManager(context.flags),
+		...validateCache(context.flags),
+		...validateBundler(context.flags),
+	];
+
+	// several bundlers are compared by the CLI, a measurement uses one of them
+	if (String(context.flags.bundler) === "all") {
+		errors.push("Measure with every bundler separately to compare them");
+	}
+
+	if (errors.length) {
+		throw new Error(errors.join("\n"));
+	}
+
+	if (context.flags.maxBrotli !== undefined) {
+		context.flags.brotli = true;
+	}
+
+	const conditions = parseConditions(context.flags.conditions);
+
+	if (conditions.length) {
+		context.buildOptions.conditions = conditions;
+	}
+
+	const plugins = await resolvePlugins(
+		context.flags.plugin ?? [],
+		options.configFile,
+		process.cwd(),
+	);
+
+	if (plugins.length) {
+		if ((context.flags.bundler ?? "rollup") !== "rollup") {
+			throw new Error(
+				`Plugins can be used with rollup only: ${plugins.map((plugin) => plugin.name).join(", ")}`,
+			);
+		}
+		context.buildOptions.plugins = plugins;
+	}
+
+	try {
+		if (isLocalPackage(options.packageName)) {
+			await readLocalPackage(context, options.packageName);
+		}
+		return await runMeasurement(context);
+	} finally {
+		await Promise.all(context.cleanup.map((fn) => fn()));
+	}
+}
+
+/** @param {string[]} exports */
+export function validateExports(exports) {
+	/**@type {string[]} */
+	const exportsErrors = [];
+
+	for (const exportName of exports) {
+		if (exportName.split("*").length > 2) {
+			exportsErrors.push(`Only one wildcard is supported: ${exportName}`);
+		}
+		if (!exportName.startsWith(".")) {
+			exportsErrors.push(`Exports must start with a dot: ${exportName}`);
+		}
+	}
+
+	return exportsErrors;
+}
+
+/**
+ * @param {Pick<Flags, 'composition' | 'top'>} flags
+ */
+export function validateComposition(flags) {
+	/**@type {string[]} */
+	const compositionErrors = [];
+	const top = Number(flags.top);
+
+	if (
+		flags.composition !== undefined &&
+		flags.composition !== "packages" &&
+		flags.composition !== "files"
+	) {
+		compositionErrors.push(
+			`Unknown composition mode: ${flags.composition} (expected packages or files)`,
+		);
+	}
+	if (flags.top !== undefined && (!Number.isInteger(top) || top < 1)) {
+		compositionErrors.push(`--top must be a positive integer: ${flags.top}`);
+	}
+
+	return compositionErrors;
+}
+
+/**
+ * @param {Pick<Flags, 'import' | 'export' | 'interactive'>} flags
+ */
+export function validateImports(flags) {
+	/**@type {string[]} */
+	const importsErrors = [];
+	const exportNames = new Set(flags.export.map(normalizeExportName));
+
+	for (const [exportName, names] of parseImports(flags.import ?? [])) {
+		if (!flags.interactive && !exportNames.has(exportName)) {
+			importsErrors.push(
+				`Imports are given for a subpath that is not reexported: ${exportName}`,
+			);
+		}
+		for (const name of names) {
+			if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+				importsErrors.push(`Invalid import name: ${name}`);
+			}
+		}
+	}
+
+	return importsErrors;
+}
+
+/**
+ * Parses `--import` values, `debounce,throttle` applies to the root export and `./fp:map,filter` to a subpath
+ * @param {string[]} imports
+ * @returns {Map<string, string[]>} names by normalized export name (as in `ExportData.export`)
+ */
+function parseImports(imports) {
+	/** @type {Map<string, string[]>} */
+	const importsMap = new Map();
+	for (const value of imports) {
+		const separatorIndex = value.startsWith(".") ? value.indexOf(":") : -1;
+		const exportName = normalizeExportName(
+			separatorIndex === -1 ? "." : value.substring(0, separatorIndex),
+		);
+		const names = value
+			.substring(separatorIndex + 1)
+			.split(",")
+			.map((name) => name.trim())
+			.filter(Boolean);
+		importsMap.set(exportName, [
+			...new Set([...(importsMap.get(exportName) ?? []), ...names]),
+		]);
+	}
+	return importsMap;
+}
+
+/**
+ * @param {string | string[] | undefined} conditions
+ * @returns {string[]}
+ */
+function parseConditions(conditions) {
+	return [conditions ?? []]
+		.flat()
+		.flatMap((value) => value.split(","))
+		.map((condition) => condition.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Paths to a directory or a tarball are measured from disk instead of the registry
+ * @param {string} spec
+ */
+export function isLocalPackage(spec) {
+	return (
+		spec.startsWith(".") ||
+		spec.startsWith("/") ||
+		spec.startsWith("file:") ||
+		/^[a-zA-Z]:[\\/]/.test(spec) ||
+		spec.endsWith(".tgz") ||
+		spec.endsWith(".tar.gz")
+	);
+}
+
+// high level functions
+
+/**
+ * @param {MeasureContext} context
+ */
+async function runMeasurement(context) {
+	const { logger, flags, packageName } = context;
+
+	logger.log();
+
+	if (usesCache(context)) {
+		const cache = await wrapWithLogger(
+			context,
+			() => openCache(context),
+			"Resolving version",
+		);
+		const cachedReport = cache && (await readCachedReport(cache));
+		if (cache && cachedReport) {
+			logger.succeed(
+				`Package: ${green(packageName)}@${blue(cache.version)} ${gray("(cached)")}`,
+			);
+			return {
+				...cachedReport,
+				...(hasBudgets(flags) && {
+					budgets: checkBudgets(cachedReport.results, flags),
+				}),
+			};
+		}
+		context.cache = cache;
+		context.version = cache?.version ?? context.version;
+	}
+
+	context.dirName = await createDirs(context);
+
+	context.packageJson = createPackageJson(context);
+
+	if (
+		context.localManifest &&
+		hasWorkspaceDependencies(context.localManifest)
+	) {
+		await resolveWorkspaceDependencies(context);
+	}
+
+	await installPackage(context);
+
+	calculateNodeModulesSize(context);
+
+	const { exports, version, deps, dependencyTree } =
+		await resolvePackageJson(context);
+
+	context.exports = exports;
+	context.packageVersion = version;
+	context.dependencyTree = dependencyTree;
+
+	if (flags.tarball) {
+		calculateTarballSize(context);
+	}
+
+	/** @type {string[] | undefined} */
+	let dependencies;
+
+	if (flags.interactive) {
+		const { selectedExports, selectedDependencies } = await interactiveMode(
+			context,
+			deps,
+			exports,
+		);
+		selectedDependencies.push(packageName);
+		dependencies = selectedDependencies;
+		context.exportsData = await getExportsData(context, selectedExports);
+		await buildPackage(context, dependencies);
+	} else {
+		context.exportsData = await getExportsData(context, flags.export);
+
+		await buildPackage(context);
+	}
+
+	try {
+		await exploreSourcemaps(context);
+	} catch {
+		// sourcemap exploration is optional, continue without composition data
+	}
+
+	await prunePackage(context);
+
+	// packed while the package was built, the tarball results go before the ones of the build
+	if (flags.tarball) {
+		await wrapWithLogger(
+			context,
+			async () => {
+				await Promise.all(context.deferred);
+				if (context.tarballError) {
+					throw context.tarballError;
+				}
+			},
+			"Packing tarball",
+		);
+	}
+
+	await calculateDistSize(context);
+
+	if (flags.sideEffects) {
+		await measureSideEffects(context, dependencies);
+	}
+
+	logger.succeed(
+		`Package: ${green(packageName)}@${blue(version)}${flags.bundler ? gray(` (${flags.bundler})`) : ""}`,
+	);
+
+	const report = await createReport(context);
+
+	if (context.cache) {
+		await writeCachedReport(context.cache, report);
+	}
+
+	return report;
+}
+
+/**
+ * @param {MeasureContext} context
+ * @param {string} spec
+ */
+function readLocalPackage(context, spec) {
+	return wrapWithLogger(
+		context,
+		async () => {
+			const path = resolve(spec.replace(/^file:/, ""));
+			const isDirectory = (await stat(path)).isDirectory();
+			const manifestJson = isDirectory
+				? await readFile(join(path, "package.json"), "utf8")
+				: await readFileFromTarball(path, "package/package.json");
+			if (!manifestJson) {
+				throw new Error(`Cannot find package.json in ${path}`);
+			}
+			const manifest = JSON.parse(manifestJson);
+			if (typeof manifest.name !== "string" || !manifest.name) {
+				throw new Error(`package.json in ${path} has no name`);
+			}
+			context.packageName = manifest.name;
+			context.source = `file:${path}`;
+			context.localManifest = manifest;
+		},
+		"Reading local package",
+	);
+}
+
+/**
+ * @param {MeasureContext} context
+ * @returns {Promise<Report>}
+ */
+async function createReport(context) {
+	await Promise.all(context.deferred);
+	const installFootprint =
+		context.installFootprint &&
+		addDependencyChains(context.installFootprint, context.dependencyTree);
+	const duplicates =
+		installFootprint &&
+		findDuplicates(installFootprint, context.bundledCopies);
+	return {
+		metadata: {
+			name: context.packageName,
+			version: context.packageVersion,
+			...(context.buildOptions.conditions && {
+				conditions: context.buildOptions.conditions,
+			}),
+			...(context.flags.bundler && { bundler: context.flags.bundler }),
+		},
+		exports: context.exports,
+		includedExports: context.exportsData.map((data) => ({
+			export: data.export,
+			defaultExport: data.hasDefaultExport,
+			...(data.names && { imports: data.names }),
+			...(data.pattern && { pattern: data.pattern }),
+			...(data.condition !== undefined && { condition: data.condition }),
+			...(data.results && {
+				results: data.results,
+				composition: data.composition,
+			}),
+		})),
+		results: [...context.results],
+		composition: [...context.compositionMap.entries()],
+		...(context.compositionCompressed && {
+			compositionCompressed: context.compositionCompressed,
+		}),
+		...(collectsFiles(context.flags) && {
+			compositionFiles: [...context.packagesFiles].map(([pkgName, files]) => [
+				pkgName,
+				[...files].sort((a, b) => b[1] - a[1]),
+			]),
+		}),
+		...(context.shared && { shared: context.shared }),
+		// without dependencies the only package is the whole node_modules
+		...(installFootprint && installFootprint.length > 1 && { installFootprint }),
+		...(duplicates?.length && { duplicates }),
+		...(context.tarballContents && {
+			tarballContents: context.tarballContents,
+		}),
+		...(context.sideEffects && { sideEffects: context.sideEffects }),
+		...(hasBudgets(context.flags) && {
+			budgets: checkBudgets(context.results, context.flags),
+		}),
+	};
+}
+
+/**
+ * @param {MeasureContext} context
+ * @param {string[]} deps
+ * @param {string[]} exports
+ * @returns {Promise<{ selectedExports: string[], selectedDependencies: string[] }>}
+ */
+async function interactiveMode({ logger }, deps, exports) {
+	const loggerText = logger.text;
+	logger.stop();
+
+	/** @type {string[]} */
+	let selectedExports = ["."];
+
+	if (exports.length > 1) {
+		const { exports: exportsFromPrompt } = await prompt([
+			{
+				type: "multiselect",
+				name: "exports",
+				message: "Which subpaths do you want to reexport?",
+				choices: exports.map((exportName) => ({
+					title: exportName,
+					value: exportName,
+				})),
+			},
+		]);
+
+		if (!exportsFromPrompt) {
+			throw new Error("Cancelled");
+		}
+
+		selectedExports = exportsFromPrompt;
+	}
+
+	const { dependencies: selectedDependencies } = await prompt([
+		{
+			type: "multiselect",
+			name: "dependencies",
+			message: "Which dependencies do you want to include?",
+			choices: deps.map((dependency) => ({
+				title: dependency,
+				value: dependency,
+			})),
+		},
+	]);
+
+	if (!selectedDependencies) {
+		throw new Error("Cancelled");
+	}
+
+	logger.start(loggerText);
+
+	return { selectedExports, selectedDependencies };
+}
+
+/**
+ * @param {MeasureContext} context
+ */
+function calculateDistSize(context) {
+	const { flags, results } = context;
+	return wrapWithLogger(
+		context,
+		async () => {
+			const files = await filesInDir(join(context.dirName, "dist"));
+			const methods = getCompressionMethods(flags);
+			/** @type {Map<string, Partial<Record<CompressionMethod, number>>>} */
+			const fileSizes = new Map(
+				await Promise.all(
+					files.map(
+						async (file) =>
+							/** @type {const} */ ([
+								resolve(file),
+								await dirCompressedSize([file], methods),
+							]),
+					),
+				),
+			);
+
+			for (const result of getSizeResults(context, [...fileSizes.values()])) {
+				results.add(result);
+			}
+
+			if (context.compressedComposition) {
+				context.compositionCompressed = scaleCompressedComposition(
+					context.compressedComposition,
+					Object.fromEntries(
+						methods.map((method) => [
+							method,
+							sumSizes([...fileSizes.values()], method),
+						]),
+					),
+				);
+			}
+
+			if (context.exportsData.length > 1) {
+				splitSizesByExports(context, fileSizes);
+			}
+		},
+		"Calculating sizes / finalizing",
+	);
+}
+
+/**
+ * Every subpath gets the sizes and the composition of the files only it uses, the rest goes to `shared`
+ * @param {MeasureContext} context
+ * @param {Map<string, Partial<Record<CompressionMethod, number>>>} fileSizes
+ */
+function splitSizesByExports(context, fileSizes) {
+	const { exclusive, shared } = splitByEntries(
+		join(context.dirName, "dist"),
+		context.chunkGraph,
+		context.exportsData.map(
+			(data, index) => `${data.export === "." ? "index" : String(index)}.mjs`,
+		),
+	);
+
+	/**
+	 * @param {string[]} files
+	 * @returns {SizeBreakdown}
+	 */
+	const getBreakdown = (files) => ({
+		results: getSizeResults(
+			context,
+			files.map((file) => fileSizes.get(file) ?? {}),
+		),
+		composition: [
+			...mergeCompositions(
+				files.map((file) => context.fileCompositions.get(file) ?? new Map()),
+			),
+		],
+	});
+
+	context.exportsData = context.exportsData.map((data, index) => ({
+		...data,
+		...getBreakdown(exclusive[index]),
+	}));
+
+	if (shared.length) {
+		context.shared = getBreakdown(shared);
+	}
+}
+
+/**
+ * @param {MeasureContext} context
+ * @param {Partial<Record<CompressionMethod, number>>[]} sizes compressed sizes of the files
+ * @returns {Result[]}
+ */
+function getSizeResults({ flags }, sizes) {
+	/**
+	 * @param {CompressionMethod} method
+	 */
+	const sum = (method) => sumSizes(sizes, method);
+
+	/** @type {Result[]} */
+	const results = [{ id: "sizeMinified", value: sum("none"), unit: "bytes" }];
+	if (!flags.noGzip) {
+		results.push({
+			id: "sizeMinifiedGzipped",
+			value: sum("gzip"),
+			unit: "bytes",
+		});
+	}
+	if (flags.brotli) {
+		results.push({
+			id: "sizeMinifiedBrotli",
+			value: sum("brotli"),
+			unit: "bytes",
+		});
+	}
+	return results;
+}
+
+/**
+ * @param {Partial<Record<CompressionMethod, number>>[]} sizes
+ * @param {CompressionMethod} method
+ */
+function sumSizes(sizes, method) {
+	return sizes.reduce((total, size) => total + (size[method] ?? 0), 0);
+}
+
+/**
+ * @param {Flags} flags
+ * @returns {CompressionMethod[]}
+ */
+function getCompressionMethods(flags) {
+	return /** @type {CompressionMethod[]} */ (
+		["none", flags.noGzip ? null : "gzip", flags.brotli ? "brotli" : null].filter(
+			Boolean,
+		)
+	);
+}
+
+/**
+ * @param {Map<string, number>[]} compositions
+ */
+function mergeCompositions(compositions) {
+	/** @type {Map<string, number>} */
+	const merged = new Map();
+	for (const composition of compositions) {
+		for (const [name, size] of composition) {
+			merged.set(name, (merged.get(name) ?? 0) + size);
+		}
+	}
+	return merged;
+}
+
+/**
+ * @param {MeasureContext} context
+ */
+async function exploreSourcemaps(context) {
+	const { compositionMap, fileCompositions, packagesFiles, bundledCopies } =
+		context;
+	return wrapWithLogger(
+		context,
+		async () => {
+			const result = await execEx(
+				`"${process.execPath}" "${smeBin}" dist/**/*.mjs --json`,
+				{ cwd: context.dirName },
+				false,
+				context.logger,
+			);
+			const json = JSON.parse(result);
+			/** @type {any[]} */
+			const bundles =
+				"results" in json && Array.isArray(json.results) ? json.results : [];
+			const getKey = await createCompositionKeys(
+				context.dirName,
+				bundles.flatMap((results) => Object.keys(results.files)),
+			);
+			for (const results of bundles) {
+				/** @type {Map<string, number>} */
+				const fileComposition = new Map();
+				fileCompositions.set(
+					resolve(context.dirName, results.bundleName),
+					fileComposition,
+				);
+				for (const [key, result] of Object.entries(results.files)) {
+					if (result.size === 0 || key === "[sourceMappingURL]") {
+						continue;
+					}
+					const { pkgName, fileName, copy } = getKey(key);
+					compositionMap.set(
+						pkgName,
+						(compositionMap.get(pkgName) ?? 0) + result.size,
+					);
+					if (copy !== undefined) {
+						bundledCopies.set(
+							copy,
+							(bundledCopies.get(copy) ?? 0) + result.size,
+						);
+					}
+					if (fileName !== undefined) {
+						const packageFiles = packagesFiles.get(pkgName) ?? new Map();
+						packageFiles.set(
+							fileName,
+							(packageFiles.get(fileName) ?? 0) + result.size,
+						);
+						packagesFiles.set(pkgName, packageFiles);
+					}
+					fileComposition.set(
+						pkgName,
+						(fileComposition.get(pkgName) ?? 0) + result.size,
+					);
+				}
+			}
+
+			const compressionMethods = getCompressionMethods(context.flags).filter(
+				(method) => method !== "none",
+			);
+			const packagesCount = [...compositionMap.keys()].filter(
+				(key) => !key.startsWith("["),
+			).length;
+
+			// with a single package the whole compressed size is its own
+			if (compressionMethods.length && packagesCount > 1) {
+				context.compressedComposition = await compressComposition(
+					[...fileCompositions.keys()],
+					compressionMethods,
+					getKey,
+				);
+			}
+		},
+		"Exploring sourcemaps",
+		false,
+	);
+}
+
+/**
+ * @param {MeasureContext} context
+ */
+async function prunePackage(context) {
+	return wrapWithLogger(
+		context,
+		async () => {
+			await execPkgbld(
+				"prune --removeSourcemaps",
+				{ cwd: context.dirName, buildOptions: context.buildOptions },
+				false,
+				context.logger,
+			);
+		},
+		"Pruning package",
+	);
+}
+
+/**
+ * @param {MeasureContext} context
+ * @param {string[] | undefined} dependencies
+ */
+async function buildPackage(context, dependencies = undefined) {
+	const { logger, exports: pkgExports, exportsData, packageJson, dirName } =
+		context;
+	return wrapWithLogger(
+		context,
+		async () => {
+			if (pkgExports.length) {
+				logger.log(`Found subpath exports: ${green(pkgExports.join(", "))}`);
+				logger.log();
+				logger.log(
+					yellow(
+						`Note: Building ${exportsData.length === 1 && exportsData[0].import === context.packageName ? "root package export" : `subpath exports: ${exportsData.map((data) => green(data.export)).join(", ")}`}`,
+					),
+				);
+				logger.log();
+			}
+
+			await Promise.all(
+				getCode(exportsData).map((data, index) =>
+					writeFile(
+						join(
+							dirName,
+							"src",
+							data.exportName === "." ? "index.js" : `${String(index)}.mjs`,
+						),
+						data.code,
+					),
+				),
+			);
+
+			packageJson.exports = exportsData
+				.map((data) => data.export)
+				.reduce(
+					(acc, exportName, currentIndex) => {
+						acc[`./${exportName === "." ? "" : String(currentIndex)}`] =
+							`./src/${exportName === "." ? "index.js" : `${String(currentIndex)}.mjs`}`;
+						return acc;
+					},
+					/** @type {Record<string, string>} */ ({}),
+				);
+
+			packageJson.main = undefined;
+
+			await writeFile(
+				join(dirName, "package.json"),
+				JSON.stringify(packageJson, null, 2),
+			);
+
+			context.chunkGraph = await getBundler(context.flags.bundler).build({
+				dirName,
+				entries: Object.fromEntries(
+					exportsData.map((data, index) =>
+						data.export === "."
+							? ["index", "src/index.js"]
+							: [String(index), `src/${String(index)}.mjs`],
+					),
+				),
+				dependencies,
+				buildOptions: context.buildOptions,
+				logger,
+			});
+		},
+		"Building package",
+	);
+}
+
+/**
+ * Every measured subpath is imported on its own with nothing used. The build is in a directory inside
+ * the one of the package, so the imports resolve to the same node_modules.
+ * The `sideEffects` field is ignored by the build, otherwise code kept despite `"sideEffects": false` would never show up
+ * @param {MeasureContext} context
+ * @param {string[] | undefined} dependencies
+ */
+async function measureSideEffects(context, dependencies) {
+	const { flags, results, exportsData, logger } = context;
+	const dirName = join(context.dirName, "side-effects");
+	return wrapWithLogger(
+		context,
+		async () => {
+			await mkdir(join(dirName, "src"), { recursive: true });
+			await Promise.all(
+				exportsData.map((data, index) =>
+					writeFile(
+						join(dirName, "src", `${index}.mjs`),
+						`import '${data.import}';`,
+					),
+				),
+			);
+			await writeFile(
+				join(dirName, "package.json"),
+				JSON.stringify(
+					{
+						...context.packageJson,
+						exports: Object.fromEntries(
+							exportsData.map((_, index) => [
+								`./${index}`,
+								`./src/${index}.mjs`,
+							]),
+						),
+					},
+					null,
+					2,
+				),
+			);
+
+			const chunkGraph = await getBundler(flags.bundler).build({
+				dirName,
+				entries: Object.fromEntries(
+					exportsData.map((_, index) => [String(index), `src/${index}.mjs`]),
+				),
+				dependencies,
+				buildOptions: { ...context.buildOptions, ignoreSideEffectsField: true },
+				logger,
+			});
+
+			const fileCompositions = await readKeptPackages(context, dirName);
+
+			await execPkgbld(
+				"prune --removeSourcemaps",
+				{ cwd: dirName, buildOptions: context.buildOptions },
+				false,
+				logger,
+			);
+
+			const methods = getCompressionMethods(flags);
+			/**
+			 * @param {string[]} files
+			 * @returns {Promise<import('./side-effects.js').SideEffectsEntry['results']>}
+			 */
+			const getResults = async (files) =>
+				getSizeResults(
+					context,
+					await Promise.all(
+						files.map((file) => dirCompressedSize([file], methods)),
+					),
+				).map((result) => ({ ...result, id: unusedResultIds[result.id] }));
+			/**
+			 * @param {string[]} files
+			 * @returns {[string, number][]}
+			 */
+			const getKept = (files) =>
+				[
+					...mergeCompositions(
+						files.map((file) => fileCompositions.get(file) ?? new Map()),
+					),
+				].sort((a, b) => b[1] - a[1]);
+
+			const entries = await Promise.all(
+				exportsData.map(async (data, index) => {
+					const files = collectEntryFiles(
+						join(dirName, "dist"),
+						chunkGraph,
+						`${index}.mjs`,
+					);
+					return {
+						export: data.export,
+						results: await getResults(files),
+						kept: getKept(files),
+					};
+				}),
+			);
+
+			const files = (await filesInDir(join(dirName, "dist"))).map((file) =>
+				resolve(file),
+			);
+			for (const result of await getResults(files)) {
+				results.add(result);
+			}
+
+			const kept = getKept(files);
+			const declared = await readSideEffectsField(
+				join(context.dirName, "node_modules", context.packageName),
+			);
+			context.sideEffects = {
+				declared,
+				treeShakable: !kept.length,
+				field: compareSideEffects(declared, !kept.length),
+				kept,
+				exports: entries,
+			};
+		},
+		"Measuring side effects",
+	);
+}
+
+/**
+ * Packages the code in the built files comes from, the rest of the code (runtime of the bundler, the entries) is left out
+ * @param {MeasureContext} context
+ * @param {string} dirName
+ * @returns {Promise<Map<string, Map<string, number>>>} by the built file
+ */
+async function readKeptPackages(context, dirName) {
+	const output = await execEx(
+		`"${process.execPath}" "${smeBin}" dist/**/*.mjs --json`,
+		{ cwd: dirName },
+		false,
+		context.logger,
+	);
+	const json = JSON.parse(output);
+	/** @type {{ bundleName: string, files: Record<string, { size: number }> }[]} */
+	const bundles =
+		"results" in json && Array.isArray(json.results) ? json.results : [];
+	// the build is one directory deeper than the one of the package, its sources are made relative to the package
+	const toPackageSource = (/** @type {string} */ source) =>
+		source.replace(/^\.\.\//, "");
+	const sources = bundles
+		.flatMap((bundle) => Object.keys(bundle.files))
+		.map(toPackageSource);
+	const getKey = await createCompositionKeys(context.dirName, sources);
+
+	return new Map(
+		bundles.map((bundle) => {
+			/** @type {Map<string, number>} */
+			const composition = new Map();
+			for (const [source, { size }] of Object.entries(bundle.files)) {
+				const packageSource = toPackageSource(source);
+				if (size && packageSource.startsWith("../node_modules/")) {
+					const { pkgName } = getKey(packageSource);
+					composition.set(pkgName, (composition.get(pkgName) ?? 0) + size);
+				}
+			}
+			return [resolve(dirName, bundle.bundleName), composition];
+		}),
+	);
+}
+
+/**
+ * @param {ExportData[]} exportsData
+ */
+function getCode(exportsData) {
+	return exportsData.map((exportData) => {
+		const {
+			export: exportName,
+			import: importName,
+			hasDefaultExport,
+			names,
+		} = exportData;
+		if (names) {
+			return {
+				exportName,
+				code: `export { ${names.join(", ")} } from '${importName}';`,
+			};
+		}
+		const result = [];
+		if (hasDefaultExport) {
+			result.push(`export { default } from '${importName}';`);
+		}
+		result.push(`export * from '${importName}';`);
+		return { exportName, code: result.join("\n") };
+	});
+}
+
+/**
+ * @param {MeasureContext} context
+ * @param {string[]} exports
+ * @returns {Promise<ExportData[]>}
+ */
+async function getExportsData(context, exports) {
+	const { packageName } = context;
+	return wrapWithLogger(
+		context,
+		async () => {
+			const importsMap = parseImports(context.flags.import ?? []);
+			const packageExports = (await expandSubpathPatterns(context, exports))
+				.map(({ exportName, pattern }) => ({
+					exportName: exportName.startsWith("./")
+						? exportName.substring(2)
+						: exportName === "."
+							? exportName
+							: undefined,
+					pattern,
+				}))
+				.filter((data) => data.exportName !== undefined)
+				.map(({ exportName, pattern }) => ({
+					import: `${packageName}${exportName === "." ? "" : `/${exportName}`}`,
+					export: /** @type {string} */ (exportName),
+					...(pattern && { pattern }),
+				}));
+
+			// expansions of a pattern can be numerous, so their default exports are checked in one go
+			const patternDefaultExports = await listDefaultExports(
+				context,
+				packageExports.filter((data) => data.pattern).map((data) => data.import),
+			);
+
+			const getCondition = await getConditionMatcher(context);
+
+			/** @type {ExportData[]} */
+			const data = [];
+
+			for (const unmatchedExport of packageExports) {
+				const condition = getCondition(unmatchedExport.export);
+				const packageExport = {
+					...unmatchedExport,
+					...(condition !== undefined && { condition }),
+				};
+				const names = importsMap.get(packageExport.export);
+				if (names) {
+					await checkNamedExports(context, packageExport.import, names);
+					data.push({
+						...packageExport,
+						hasDefaultExport: names.includes("default"),
+						names,
+					});
+					continue;
+				}
+				data.push({
+					...packageExport,
+					hasDefaultExport:
+						patternDefaultExports.get(packageExport.import) ??
+						(await hasDefaultExport(context, packageExport.import)),
+				});
+			}
+
+			return data;
+		},
+		"Resolving exports",
+	);
+}
+
+/**
+ * Creates a function that tells which conditions of the exports map matched for a subpath (e.g. `browser > import`),
+ * only used when conditions are given, returns `undefined` for everything otherwise
+ * @param {MeasureContext} context
+ * @returns {Promise<(exportName: string) => string | undefined>}
+ */
+async function getConditionMatcher(context) {
+	const { conditions } = context.buildOptions;
+	if (!conditions) {
+		return () => undefined;
+	}
+	const exportsMap = normalizeExportsMap(
+		(await readInstalledPackageJson(context)).exports,
+	);
+	const conditionsSet = new Set([...defaultConditions, ...conditions]);
+	return (exportName) => {
+		const subpath = exportName === "." ? "." : `./${exportName}`;
+		const key = exportsMap && findMatchingKey(exportsMap, subpath);
+		if (!exportsMap || !key) {
+			return "";
+		}
+		return (
+			matchExportConditions(exportsMap[key], conditionsSet)?.conditions.join(
+				" > ",
+			) ?? ""
+		);
+	};
+}
+
+/**
+ * @param {MeasureContext} context
+ * @returns {Promise<Record<string, any>>}
+ */
+async function readInstalledPackageJson({ dirName, packageName }) {
+	return JSON.parse(
+		await readFile(
+			join(dirName, "node_modules", packageName, "package.json"),
+			"utf8",
+		),
+	);
+}
+
+/**
+ * Replaces subpath patterns (`./locale/*`) with the subpaths that exist in the installed package
+ * @param {MeasureContext} context
+ * @param {string[]} exports
+ * @returns {Promise<{ exportName: string, pattern?: string }[]>}
+ */
+async function expandSubpathPatterns(context, exports) {
+	const { packageName, dirName } = context;
+	if (!exports.some((exportName) => exportName.includes("*"))) {
+		return exports.map((exportName) => ({ exportName }));
+	}
+	const packageDir = join(dirName, "node_modules", packageName);
+	const manifest = await readInstalledPackageJson(context);
+	/** @type {{ exportName: string, pattern?: string }[]} */
+	const expanded = [];
+	for (const exportName of exports) {
+		if (!exportName.includes("*")) {
+			expanded.push({ exportName });
+			continue;
+		}
+		const subpaths = await expandSubpathPattern(packageDir, manifest, exportName);
+		for (const subpath of subpaths) {
+			if (!expanded.some((data) => data.exportName === subpath)) {
+				expanded.push({ exportName: subpath, pattern: exportName });
+			}
+		}
+	}
+	return expanded;
+}
+
+/**
+ * Imports the modules with node to find which ones have a default export,
+ * modules that cannot be imported by node are left out of the result
+ * @param {MeasureContext} context
+ * @param {string[]} importNames
+ * @returns {Promise<Map<string, boolean>>}
+ */
+async function listDefaultExports(context, importNames) {
+	if (!importNames.length) {
+		return new Map();
+	}
+	const code =
+		"const result = {}; for (const name of JSON.parse(process.env.PKGSZ_IMPORTS)) { try { result[name] = 'default' in (await import(name)); } catch {} } console.log(JSON.stringify(result));";
+	try {
+		const output = await execEx(`node --input-type=module -e "${code}"`, {
+			cwd: context.dirName,
+			env: { ...process.env, PKGSZ_IMPORTS: JSON.stringify(importNames) },
+		});
+		return new Map(Object.entries(JSON.parse(output)));
+	} catch {
+		return new Map();
+	}
+}
+
+/**
+ * Throws when some of the names are not exported, the module is imported by node to list its exports,
+ * when that is not possible (e.g. browser only code) the check is skipped and the build reports missing names
+ * @param {MeasureContext} context
+ * @param {string} importName
+ * @param {string[]} names
+ */
+async function checkNamedExports(context, importName, names) {
+	/** @type {string[]} */
+	let available;
+	try {
+		const code = `import * as ns from \\"${importName}\\"; console.log(JSON.stringify(Object.keys(ns)));`;
+		available = JSON.parse(
+			await execEx(`node --input-type=module -e "${code}"`, {
+				cwd: context.dirName,
+			}),
+		).filter((/** @type {string} */ name) => name !== "module.exports");
+	} catch {
+		return;
+	}
+	const unknown = names.filter((name) => !available.includes(name));
+	if (unknown.length) {
+		throw new Error(
+			`Unknown exports of ${importName}: ${unknown.join(", ")}\nAvailable exports: ${available.join(", ")}`,
+		);
+	}
+}
+
+/**
+ * @param {MeasureContext} context
+ * @param {string} importName
+ * @returns {Promise<boolean>}
+ */
+async function hasDefaultExport(context, importName) {
+	const { logger, dirName } = context;
+	return wrapWithLogger(
+		context,
+		async () => {
+			try {
+				await writeFile(
+					join(dirName, "src", "index.js"),
+					`import $index from '${importName}';`,
+				);
+
+				const errors = await execPkgbld(
+					"--no-ts-config --no-update-package-json --formats=es --includeExternals",
+					{ cwd: dirName, buildOptions: context.buildOptions },
+					true,
+				);
+
+				return !errors.includes('"default" is not exported by');
+			} catch (e) {
+				logger.log(e);
+				return false;
+			}
+		},
+		"Checking for default export",
+	);
+}
+
+/**
+ * @param {MeasureContext} context
+ * @returns {Promise<{ exports: string[], version: string, deps: string[], dependencyTree?: import('./footprint.js').DependencyNode[] }>}
+ */
+async function resolvePackageJson(context) {
+	const { packageName, dirName, logger } = context;
+	try {
+		return await wrapWithLogger(
+			context,
+			async () => {
+				const pkg = context.localManifest ?? (await readInstalledManifest());
+				const exports = [];
+				if (
+					pkg &&
+					"exports" in pkg &&
+					typeof pkg.exports === "object" &&
+					pkg.exports !== null
+				) {
+					exports.push(
+						...Object.keys(pkg.exports).filter((exp) => exp.startsWith(".")),
+					);
+				}
+				const version = String(pkg?.version);
+
+				// always set by the install step
+				const packageManager =
+					/** @type {import('./package-managers.js').PackageManager} */ (
+						context.packageManager
+					);
+				const dependenciesList = await execEx(
+					packageManager.listCommand,
+					{
+						cwd: dirName,
+					},
+					false,
+					logger,
+				);
+				const deps = packageManager.parseDependencies(dependenciesList);
+				const dependencyTree =
+					packageManager.parseDependencyTree?.(dependenciesList);
+				return { exports, version, deps, dependencyTree };
+			},
+			"Resolving package.json",
+			false,
+		);
+	} catch {
+		return { exports: [], version: "<unknown>", deps: [] };
+	}
+
+	async function readInstalledManifest() {
+		const url = `console.log(import.meta.resolve(\\"${packageName}\\"));`;
+		const fileUrl = await execEx(
+			`node --input-type=module -e "${url}"`,
+			{
+				cwd: dirName,
+			},
+			false,
+			logger,
+		);
+		const path = fileURLToPath(fileUrl);
+		const packageUp = await readPackageUp({ cwd: path });
+		if (!packageUp?.path.replaceAll("\\", "/").includes(packageName)) {
+			throw new Error(`Cannot find package.json for ${packageName}`);
+		}
+		return packageUp.packageJson;
+	}
+}
+
+/**
+ * @param {MeasureContext} context
+ */
+function calculateNodeModulesSize(context) {
+	const { results } = context;
+	context.deferred.push(
+		(async () => {
+			const nodeModulesDir = join(context.dirName, "node_modules");
+			const files = await filesInDir(nodeModulesDir);
+			const size = await dirSize(files);
+			context.installFootprint = await getInstallFootprint(
+				nodeModulesDir,
+				files,
+			);
+			results.add({ id: "nodeModulesSize", value: size, unit: "bytes" });
+			results.add({
+				id: "nodeModulesFiles",
+				value: files.length,
+				unit: "count",
+			});
+		})(),
+	);
+}
+
+/**
+ * Packed while the package is built, the results go after the ones of node_modules
+ * @param {MeasureContext} context
+ */
+function calculateTarballSize(context) {
+	const { results } = context;
+	const nodeModulesSize = Promise.all(context.deferred);
+	context.deferred.push(
+		(async () => {
+			// kept for the "Packing tarball" step, a rejected deferred promise is not handled until the report is created
+			const [tarball] = await Promise.all([
+				packTarball(
+					join(context.dirName, "node_modules", context.packageName),
+				).catch((/** @type {Error} */ error) => {
+					context.tarballError = error;
+				}),
+				nodeModulesSize,
+			]);
+			if (!tarball) {
+				return;
+			}
+			results.add({ id: "tarballSize", value: tarball.size, unit: "bytes" });
+			results.add({
+				id: "tarballUnpackedSize",
+				value: tarball.unpackedSize,
+				unit: "bytes",
+			});
+			results.add({
+				id: "tarballFiles",
+				value: tarball.fileCount,
+				unit: "count",
+			});
+			context.tarballContents = tarball.files;
+		})(),
+	);
+}
+
+/**
+ * @param {MeasureContext} context
+ * @returns {Record<string, any>}
+ */
+function createPackageJson({ packageName, version, source }) {
+	return {
+		main: "dist/index.js",
+		dependencies: {
+			[packageName]: source ?? version ?? "*",
+		},
+	};
+}
+
+/**
+ * Installs a copy of the workspace package with its `workspace:` dependencies pointing to the copies of the other workspace packages
+ * @param {MeasureContext} context
+ */
+function resolveWorkspaceDependencies(context) {
+	return wrapWithLogger(
+		context,
+		async () => {
+			const path = String(context.source).replace(/^file:/, "");
+			if (!(await stat(path)).isDirectory()) {
+				throw new Error(
+					`Packed tarballs cannot have workspace: dependencies, pack ${context.packageName} with the package manager of the workspace`,
+				);
+			}
+			context.packageJson.dependencies[context.packageName] =
+				`file:${await stageWorkspacePackage(path, join(context.dirName, "workspace"))}`;
+		},
+		"Resolving workspace dependencies",
+	);
+}
+
+/**
+ * @param {MeasureContext} context
+ */
+function installPackage(context) {
+	const { flags, dirName } = context;
+	return wrapWithLogger(
+		context,
+		async () => {
+			await writeFile(
+				join(dirName, "package.json"),
+				JSON.stringify(context.packageJson, null, 2),
+			);
+
+			const packageManager = await getPackageManager(
+				flags.packageManager ?? "npm",
+				dirName,
+			);
+			context.packageManager = packageManager;
+
+			/** @type {import('./package-managers.js').InstallOptions} */
+			const installOptions = {
+				enableScripts: flags.enableScripts,
+				registry: flags.registry,
+				source: context.source,
+			};
+
+			for (const [fileName, content] of Object.entries(
+				packageManager.configFiles?.(installOptions) ?? {},
+			)) {
+				await writeFile(join(dirName, fileName), content);
+			}
+
+			let { cache } = context;
+
+			if (!cache || !(await restoreInstall(cache, dirName))) {
+				if (cache && flags.offline) {
+					throw new Error(
+						`${context.packageName}@${context.version} is not in the cache, run without --offline first`,
+					);
+				}
+
+				const npmrc = await readNpmrc(flags.npmrc);
+				const npmrcFiles =
+					npmrc === undefined
+						? undefined
+						: (packageManager.npmrcFiles?.(npmrc, installOptions) ?? {
+								".npmrc": npmrc,
+							});
+
+				await withNpmrc(dirName, npmrcFiles, () =>
+					execEx(
+						packageManager.installCommand(installOptions),
+						{ cwd: dirName },
+						false,
+						context.logger,
+					),
+				);
+
+				// a range or a tag measured for the first time is cached with the installed version
+				if (!cache && usesCache(context)) {
+					const installedVersion = await readFile(
+						join(dirName, "node_modules", context.packageName, "package.json"),
+						"utf8",
+					).then((json) => JSON.parse(json).version);
+					cache = await openInstalledCache(context, installedVersion);
+					context.cache = cache;
+				}
+
+				if (cache) {
+					await saveInstall(cache, dirName);
+				}
+			}
+
+			if (needsPlugin(context.buildOptions)) {
+				// added after the install because the plugin is not published, pkgbld resolves it through a loader hook
+				context.packageJson.devDependencies = { [pluginName]: "*" };
+				await writeFile(
+					join(dirName, "package.json"),
+					JSON.stringify(context.packageJson, null, 2),
+				);
+			}
+		},
+		"Installing package",
+	);
+}
+
+/**
+ * Local packages change without changing their versions, in interactive mode the selection is not a part of the key
+ * @param {MeasureContext} context
+ */
+function usesCache({ flags, source }) {
+	return !flags.noCache && !flags.interactive && !source;
+}
+
+/**
+ * @param {MeasureContext} context
+ */
+function createDirs(context) {
+	const { flags, logger, cleanup } = context;
+	return wrapWithLogger(
+		context,
+		async () => {
+			const dirName = await mkdtemp(join(tmpdir(), "pkgsz-"));
+
+			if (!flags.noClean) {
+				cleanup.push(() => rm(dirName, { recursive: true, force: true }));
+			} else {
+				cleanup.push(() => {
+					logger.log("Cleanup disabled, directory is left at: ", dirName);
+				});
+			}
+
+			await mkdir(join(dirName, "src"), { recursive: true });
+
+			return dirName;
+		},
+		"Creating temporary directories",
+	);
+}
+
+/**
+ * Fatal failures are reported through the logger and rethrown with the partial report attached
+ * @template T
+ * @param {MeasureContext} context
+ * @param {() => Promise<T>} fn
+ * @param {string} message
+ * @param {boolean} [fatal]
+ * @returns {Promise<T>}
+ */
+async function wrapWithLogger(context, fn, message, fatal = true) {
+	const { logger } = context;
+	try {
+		logger.start(`${message}... `);
+		return await fn();
+	} catch (/** @type {any} */ error) {
+		const text = `${message} (failed)`;
+		if (fatal) {
+			logger.fail(`${text}\n${error.message}`);
+			error.report ??= await createReport(context);
+			throw error;
+		}
+		logger.error(text, error);
+		throw error;
+	}
+}
@@ -0,0 +1,191 @@
+// system imports
+import { access, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+
+// local imports
+import { execEx } from "./utils.js";
+
+/**
+ * Reads the .npmrc to install with: the given file or the one of the current project,
+ * the user's ~/.npmrc is read by the package manager itself
+ * @param {string} [file] path given with `--npmrc`
+ * @returns {Promise<string | undefined>}
+ */
+export async function readNpmrc(file) {
+	if (file) {
+		try {
+			return await readFile(file, "utf8");
+		} catch (/** @type {any} */ error) {
+			throw new Error(`Cannot read npmrc file ${file}: ${error.message}`);
+		}
+	}
+	const projectNpmrc = join(await findProjectRoot(process.cwd()), ".npmrc");
+	return (await exists(projectNpmrc))
+		? readFile(projectNpmrc, "utf8")
+		: undefined;
+}
+
+/**
+ * Puts the .npmrc (or the files the package manager reads instead) into the install directory for the duration of `fn` only,
+ * so auth tokens are not left behind in `--no-clean` directories and the cache, files that existed before are restored
+ * @template T
+ * @param {string} dirName
+ * @param {Record<string, string> | undefined} files e.g. `{ ".npmrc": npmrc }`
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withNpmrc(dirName, files, fn) {
+	if (files === undefined) {
+		return fn();
+	}
+	/** @type {Map<string, string | undefined>} */
+	const previous = new Map();
+	for (const [fileName, content] of Object.entries(files)) {
+		const path = join(dirName, fileName);
+		previous.set(path, await readFile(path, "utf8").catch(() => undefined));
+		await writeFile(path, content, { mode: 0o600 });
+	}
+	try {
+		return await fn();
+	} finally {
+		for (const [path, content] of previous) {
+			await (content === undefined
+				? rm(path, { force: true })
+				: writeFile(path, content));
+		}
+	}
+}
+
+/**
+ * `key=value` entries of an .npmrc, comments and empty lines are skipped
+ * @param {string} npmrc
+ * @returns {[string, string][]}
+ */
+export function parseNpmrc(npmrc) {
+	return npmrc
+		.split(/\r?\n/)
+		.map((line) => line.trim())
+		.filter((line) => line && !line.startsWith("#") && !line.startsWith(";"))
+		.map((line) => {
+			const index = line.indexOf("=");
+			return /** @type {[string, string]} */ (
+				index === -1
+					? [line, "true"]
+					: [line.substring(0, index).trim(), line.substring(index + 1).trim()]
+			);
+		});
+}
+
+/**
+ * Translates the registries, scoped registries and auth entries of an .npmrc into `.yarnrc.yml` settings,
+ * other npm options have no effect on what is installed and are left out, `${VAR}` references are kept as yarn expands them too
+ * @param {string} npmrc
+ * @returns {Record<string, any>}
+ */
+export function npmrcToYarnrc(npmrc) {
+	/** @type {Record<string, any>} */
+	const settings = {};
+	/** @type {Record<string, Record<string, any>>} */
+	const scopes = {};
+	/** @type {Record<string, Record<string, any>>} */
+	const registries = {};
+
+	for (const [key, value] of parseNpmrc(npmrc)) {
+		const scope = /^@([^:]+):registry$/.exec(key)?.[1];
+		const registryKey = /^(\/\/.+):([^:]+)$/.exec(key);
+		if (scope) {
+			scopes[scope] = { npmRegistryServer: value };
+		} else if (registryKey) {
+			const [, registry, option] = registryKey;
+			registries[registry] = {
+				...registries[registry],
+				...translateAuthOption(option, value, key),
+			};
+		} else if (key === "registry") {
+			settings.npmRegistryServer = value;
+		} else {
+			Object.assign(settings, translateAuthOption(key, value, key));
+		}
+	}
+
+	return {
+		...settings,
+		...(Object.keys(scopes).length && { npmScopes: scopes }),
+		...(Object.keys(registries).length && { npmRegistries: registries }),
+	};
+}
+
+/**
+ * @param {string} option
+ * @param {string} value
+ * @param {string} key full key for the error message
+ * @returns {Record<string, any>}
+ */
+function translateAuthOption(option, value, key) {
+	switch (option) {
+		case "_authToken":
+			return { npmAuthToken: value };
+		case "_auth":
+			return { npmAuthIdent: value };
+		case "always-auth":
+			return { npmAlwaysAuth: value === "true" };
+		case "username":
+		case "_password":
+			throw new Error(
+				`Cannot translate ${key} of the npmrc file for yarn 2+, use _auth or _authToken instead`,
+			);
+		default:
+			return {};
+	}
+}
+
+/**
+ * Runs an npm command that works without an install directory (`npm view`, `npm pack`) with the same .npmrc as the install:
+ * the file is put into a temporary project, so it is merged with ~/.npmrc instead of replacing it
+ * @param {string} command
+ * @param {string} [file] path given with `--npmrc`
+ */
+export async function execNpm(command, file) {
+	const npmrc = await readNpmrc(file);
+	if (npmrc === undefined) {
+		return execEx(command, {});
+	}
+	const dirName = await mkdtemp(join(tmpdir(), "pkgsz-npmrc-"));
+	try {
+		// package.json makes the directory the project root, an .npmrc of a parent directory is not used
+		await writeFile(join(dirName, "package.json"), "{}");
+		await writeFile(join(dirName, ".npmrc"), npmrc, { mode: 0o600 });
+		return await execEx(command, { cwd: dirName });
+	} finally {
+		await rm(dirName, { recursive: true, force: true });
+	}
+}
+
+/**
+ * Same lookup as npm: the closest directory with package.json or node_modules, the current one otherwise
+ * @param {string} cwd
+ */
+async function findProjectRoot(cwd) {
+	for (let dir = cwd; ; dir = dirname(dir)) {
+		if (
+			(await exists(join(dir, "package.json"))) ||
+			(await exists(join(dir, "node_modules")))
+		) {
+			return dir;
+		}
+		if (dirname(dir) === dir) {
+			return cwd;
+		}
+	}
+}
+
+/**
+ * @param {string} path
+ */
+async function exists(path) {
+	return access(path).then(
+		() => true,
+		() => false,
+	);
+}
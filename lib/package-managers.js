@@ -0,0 +1,244 @@
+// local imports
+import { npmrcToYarnrc } from "./npmrc.js";
+import { execEx } from "./utils.js";
+
+// types
+/** @typedef {'npm' | 'pnpm' | 'yarn' | 'bun'} PackageManagerName */
+
+/**
+ * @typedef {Object} InstallOptions
+ * @property {boolean} enableScripts
+ * @property {string} [registry]
+ * @property {string} [source] `file:` specifier of a local package
+ */
+
+/**
+ * @typedef {Object} PackageManager
+ * @property {PackageManagerName} name
+ * @property {(options: InstallOptions) => string} installCommand
+ * @property {(options: InstallOptions) => Record<string, string>} [configFiles] files written next to package.json before the install
+ * @property {(npmrc: string, options: InstallOptions) => Record<string, string>} [npmrcFiles] files with the settings of the .npmrc, written for the duration of the install instead of .npmrc
+ * @property {string} listCommand prints every installed dependency
+ * @property {(output: string) => string[]} parseDependencies names of the dependencies from the output of `listCommand`
+ * @property {(output: string) => import('./footprint.js').DependencyNode[]} [parseDependencyTree] dependencies of the temporary project from the output of `listCommand`
+ */
+
+export const packageManagerNames = /** @type {PackageManagerName[]} */ ([
+	"npm",
+	"pnpm",
+	"yarn",
+	"bun",
+]);
+
+/** @type {PackageManager} */
+const npm = {
+	name: "npm",
+	installCommand: ({ enableScripts, registry, source }) =>
+		`npm i --no-audit --no-fund --no-update-notifier --no-progress ${enableScripts ? "" : "--ignore-scripts"} ${registry ? `--registry=${registry}` : ""} ${source ? "--install-links" : ""}`,
+	// without the flag the copies of local packages are reported as invalid and the command fails
+	listCommand: "npm list --all --json --install-links",
+	parseDependencies: (output) => collectDependencyKeys(JSON.parse(output)),
+	parseDependencyTree: (output) => toDependencyNodes(JSON.parse(output)),
+};
+
+/** @type {PackageManager} */
+const pnpm = {
+	name: "pnpm",
+	// lockfiles are frozen by default on CI, there is no lockfile in the temporary directory
+	installCommand: ({ enableScripts, registry }) =>
+		`pnpm install --no-frozen-lockfile ${enableScripts ? "" : "--ignore-scripts"} ${registry ? `--registry=${registry}` : ""}`,
+	listCommand: "pnpm list --depth Infinity --json",
+	parseDependencies: (output) => collectDependencyKeys(JSON.parse(output)),
+	// an array with the temporary project only
+	parseDependencyTree: (output) => toDependencyNodes(JSON.parse(output)[0]),
+};
+
+/** @type {PackageManager} */
+const yarnClassic = {
+	name: "yarn",
+	installCommand: ({ enableScripts, registry }) =>
+		`yarn install --non-interactive --no-progress ${enableScripts ? "" : "--ignore-scripts"} ${registry ? `--registry=${registry}` : ""}`,
+	listCommand: "yarn list --json --no-progress",
+	parseDependencies: (output) => {
+		/** @type {Set<string>} */
+		const names = new Set();
+		(function walk(/** @type {{ name: string, children?: any[] }[]} */ trees) {
+			for (const tree of trees) {
+				names.add(stripVersion(tree.name));
+				walk(tree.children ?? []);
+			}
+		})(JSON.parse(output).data?.trees ?? []);
+		return [...names];
+	},
+};
+
+/** @type {PackageManager} */
+const yarnBerry = {
+	name: "yarn",
+	// yarn 2+ does not accept the classic flags, everything goes to .yarnrc.yml instead
+	configFiles: (options) => ({
+		".yarnrc.yml": toYaml(yarnrcSettings(options)),
+	}),
+	// yarn 2+ ignores .npmrc, `--registry` wins over the registry of the file
+	npmrcFiles: (npmrc, options) => ({
+		".yarnrc.yml": toYaml({
+			...npmrcToYarnrc(npmrc),
+			...yarnrcSettings(options),
+		}),
+	}),
+	installCommand: () => "yarn install",
+	listCommand: "yarn info --all --recursive --json",
+	// one json object per line, e.g. `{ "value": "lodash@npm:4.17.21", ... }`
+	parseDependencies: (output) => [
+		...new Set(
+			output
+				.split("\n")
+				.filter((line) => line.trim())
+				.map((line) => String(JSON.parse(line).value))
+				.filter((value) => !value.includes("@workspace:"))
+				.map(stripVersion),
+		),
+	],
+};
+
+/** @type {PackageManager} */
+const bun = {
+	name: "bun",
+	installCommand: ({ enableScripts, registry }) =>
+		`bun install --no-progress ${enableScripts ? "" : "--ignore-scripts"} ${registry ? `--registry=${registry}` : ""}`,
+	listCommand: "bun pm ls --all",
+	// bun has no json output, lines look like `├── lodash@4.17.21`
+	parseDependencies: (output) => [
+		...new Set(
+			output
+				.split("\n")
+				.map((line) => /[├└]──\s+(\S+)/.exec(line)?.[1])
+				.filter((spec) => spec !== undefined)
+				.map(stripVersion),
+		),
+	],
+};
+
+/**
+ * @param {{ packageManager?: string }} flags
+ */
+export function validatePackageManager(flags) {
+	if (
+		flags.packageManager === undefined ||
+		packageManagerNames.includes(/** @type {PackageManagerName} */ (flags.packageManager))
+	) {
+		return [];
+	}
+	return [
+		`Unknown package manager: ${flags.packageManager} (expected ${packageManagerNames.slice(0, -1).join(", ")} or ${packageManagerNames.at(-1)})`,
+	];
+}
+
+/**
+ * Checks that the package manager is installed and picks the commands for its version
+ * @param {PackageManagerName} name
+ * @param {string} cwd
+ * @returns {Promise<PackageManager>}
+ */
+export async function getPackageManager(name, cwd) {
+	let version;
+	try {
+		version = (await execEx(`${name} --version`, { cwd })).trim();
+	} catch {
+		throw new Error(
+			`Package manager ${name} is not installed or cannot be found in PATH`,
+		);
+	}
+	switch (name) {
+		case "pnpm":
+			return pnpm;
+		case "yarn":
+			return version.startsWith("1.") ? yarnClassic : yarnBerry;
+		case "bun":
+			return bun;
+		default:
+			return npm;
+	}
+}
+
+/**
+ * @param {InstallOptions} options
+ * @returns {Record<string, any>}
+ */
+function yarnrcSettings({ enableScripts, registry }) {
+	return {
+		nodeLinker: "node-modules",
+		enableImmutableInstalls: false,
+		enableScripts,
+		...(registry && { npmRegistryServer: registry }),
+	};
+}
+
+/**
+ * Minimal YAML for the settings of .yarnrc.yml: nested objects, strings, numbers and booleans,
+ * strings are written as JSON which is valid YAML
+ * @param {Record<string, any>} object
+ * @param {string} [indent]
+ * @returns {string}
+ */
+function toYaml(object, indent = "") {
+	return Object.entries(object)
+		.map(([key, value]) => {
+			const yamlKey = /^[\w-]+$/.test(key) ? key : JSON.stringify(key);
+			return value && typeof value === "object"
+				? `${indent}${yamlKey}:\n${toYaml(value, `${indent}  `)}`
+				: `${indent}${yamlKey}: ${typeof value === "string" ? JSON.stringify(value) : value}`;
+		})
+		.join("\n");
+}
+
+/**
+ * Recursively collects all keys from any "dependencies" objects in the tree.
+ * Replaces jsonata("[$keys(**.dependencies)]").evaluate(obj)
+ * @param {unknown} obj
+ * @returns {string[]}
+ */
+function collectDependencyKeys(obj) {
+	/** @type {Set<string>} */
+	const keys = new Set();
+	(function walk(/** @type {any} */ node) {
+		if (Array.isArray(node)) {
+			// pnpm prints an array of projects
+			for (const item of node) {
+				walk(item);
+			}
+		} else if (node && typeof node === "object") {
+			if (node.dependencies && typeof node.dependencies === "object") {
+				for (const key of Object.keys(node.dependencies)) {
+					keys.add(key);
+				}
+			}
+			for (const value of Object.values(node)) {
+				walk(value);
+			}
+		}
+	})(obj);
+	return [...keys];
+}
+
+/**
+ * `{ dependencies: { name: { version, dependencies } } }` of npm and pnpm
+ * @param {any} node
+ * @returns {import('./footprint.js').DependencyNode[]}
+ */
+function toDependencyNodes(node) {
+	return Object.entries(node?.dependencies ?? {}).map(([name, dependency]) => ({
+		name,
+		version: dependency?.version,
+		dependencies: toDependencyNodes(dependency),
+	}));
+}
+
+/**
+ * `@scope/name@1.0.0` -> `@scope/name`
+ * @param {string} spec
+ */
+function stripVersion(spec) {
+	const atIndex = spec.indexOf("@", 1);
+	return atIndex === -1 ? spec : spec.substring(0, atIndex);
+}
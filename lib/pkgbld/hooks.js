@@ -0,0 +1,15 @@
+// pkgbld imports plugins by name from its own location, resolve the pkgsz plugin to the file shipped with pkgsz
+const pluginName = "pkgbld-plugin-pkgsz";
+const pluginUrl = new URL("./plugin.js", import.meta.url).href;
+
+/**
+ * @param {string} specifier
+ * @param {unknown} context
+ * @param {(specifier: string, context: unknown) => Promise<unknown>} nextResolve
+ */
+export async function resolve(specifier, context, nextResolve) {
+	if (specifier === pluginName) {
+		return { url: pluginUrl, shortCircuit: true };
+	}
+	return nextResolve(specifier, context);
+}
@@ -0,0 +1,67 @@
+// system imports
+import { fileURLToPath } from "node:url";
+// local imports
+import { execEx } from "../utils.js";
+
+export const pkgbldBin = fileURLToPath(import.meta.resolve("pkgbld/index.js"));
+
+export const pluginName = "pkgbld-plugin-pkgsz";
+
+const registerUrl = new URL("./register.js", import.meta.url).href;
+
+// types
+/**
+ * Options of the pkgsz pkgbld plugin
+ * @typedef {Object} BuildOptions
+ * @property {string[]} [conditions] extra export conditions used to resolve modules
+ * @property {import('../config.js').PluginReference[]} [plugins] extra rollup plugins
+ * @property {boolean} [ignoreSideEffectsField] keep the modules of packages that declare `"sideEffects": false`
+ * @property {boolean} [chunkGraph] write the chunks every output file loads next to `dist`, see `readChunkGraph`
+ */
+
+/**
+ * @param {BuildOptions | undefined} buildOptions
+ */
+export function needsPlugin(buildOptions) {
+	return Boolean(
+		buildOptions?.conditions?.length ||
+			buildOptions?.plugins?.length ||
+			buildOptions?.ignoreSideEffectsField ||
+			buildOptions?.chunkGraph,
+	);
+}
+
+/**
+ * Runs pkgbld in the directory, the pkgsz plugin is loaded only when there are options for it
+ * @param {string} args
+ * @param {{ cwd: string, buildOptions?: BuildOptions }} options
+ * @param {boolean} [returnStderr]
+ * @param {{ log(...message: unknown[]): void }} [debugLogger]
+ */
+export function execPkgbld(
+	args,
+	{ cwd, buildOptions },
+	returnStderr = false,
+	debugLogger = undefined,
+) {
+	if (!needsPlugin(buildOptions)) {
+		return execEx(
+			`"${process.execPath}" "${pkgbldBin}" ${args}`,
+			{ cwd },
+			returnStderr,
+			debugLogger,
+		);
+	}
+	return execEx(
+		`"${process.execPath}" --import=${registerUrl} "${pkgbldBin}" ${args}`,
+		{
+			cwd,
+			env: {
+				...process.env,
+				PKGSZ_BUILD_OPTIONS: JSON.stringify(buildOptions),
+			},
+		},
+		returnStderr,
+		debugLogger,
+	);
+}
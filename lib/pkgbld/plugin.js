@@ -0,0 +1,216 @@
+// system imports
+import { writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+// local imports
+import { chunkGraphFile } from "../chunks.js";
+import { loadConfigFile, parsePluginEntry } from "../config.js";
+
+// pkgbld priorities of the built in plugins, see Plugin API in pkgbld readme
+const resolvePriority = 3000;
+const commonjsPriority = 4000;
+
+// framework compilers go after the resolution and before commonjs, e.g. resolve(), vue(), commonjs()
+const userPluginsPriority = (resolvePriority + commonjsPriority) / 2;
+
+/**
+ * @typedef {Object} Provider
+ * @property {(plugin: () => unknown, priority: number, options?: Record<string, unknown>) => void} provide
+ * @property {(name: string, exportName?: string) => Promise<any>} import
+ */
+
+/**
+ * pkgbld plugin that applies pkgsz build options passed in the PKGSZ_BUILD_OPTIONS environment variable
+ */
+export function create() {
+	/** @type {import('./index.js').BuildOptions} */
+	const options = JSON.parse(process.env.PKGSZ_BUILD_OPTIONS ?? "{}");
+	return {
+		/**
+		 * @param {Provider} provider
+		 */
+		async providePlugins(provider) {
+			if (options.conditions?.length) {
+				const pluginResolve = await provider.import(
+					"@rollup/plugin-node-resolve",
+				);
+				// runs before the default resolve plugin so the conditions win
+				provider.provide(
+					() =>
+						pluginResolve({
+							exportConditions: options.conditions,
+							browser: options.conditions?.includes("browser"),
+						}),
+					resolvePriority - 1,
+				);
+			}
+			if (options.ignoreSideEffectsField) {
+				// runs before the resolve plugins, which read the field into `moduleSideEffects`
+				provider.provide(ignoreSideEffectsField, resolvePriority - 2);
+			}
+			if (options.chunkGraph) {
+				// output hooks only, the position does not matter
+				provider.provide(writeChunkGraph, commonjsPriority + 1);
+			}
+			for (const [index, reference] of (options.plugins ?? []).entries()) {
+				const plugin = await loadPlugin(reference);
+				// the order of the plugins is kept within the same priority
+				provider.provide(plugin, userPluginsPriority + index / 1000);
+			}
+		},
+	};
+}
+
+/**
+ * Rollup plugin that treats every resolved module as one with side effects
+ */
+function ignoreSideEffectsField() {
+	return {
+		name: "pkgsz-side-effects",
+		/**
+		 * @this {{ resolve(source: string, importer: string | undefined, options: Record<string, unknown>): Promise<{ external?: unknown } | null> }}
+		 * @param {string} source
+		 * @param {string | undefined} importer
+		 * @param {Record<string, unknown>} options
+		 */
+		async resolveId(source, importer, options) {
+			const resolved = await this.resolve(source, importer, {
+				...options,
+				skipSelf: true,
+			});
+			return resolved && !resolved.external
+				? { ...resolved, moduleSideEffects: true }
+				: resolved;
+		},
+	};
+}
+
+/**
+ * Rollup plugin that writes the chunks every output file imports, statically or dynamically,
+ * into the build directory pkgbld runs in, externals are left out
+ */
+function writeChunkGraph() {
+	return {
+		name: "pkgsz-chunk-graph",
+		/**
+		 * @param {unknown} _outputOptions
+		 * @param {Record<string, { type: string, imports?: string[], dynamicImports?: string[] }>} bundle
+		 */
+		async writeBundle(_outputOptions, bundle) {
+			/** @type {import('../chunks.js').ChunkGraph} */
+			const graph = {};
+			for (const [fileName, output] of Object.entries(bundle)) {
+				if (output.type === "chunk") {
+					graph[fileName] = [
+						...(output.imports ?? []),
+						...(output.dynamicImports ?? []),
+					].filter((file) => file in bundle);
+				}
+			}
+			await writeFile(chunkGraphFile, JSON.stringify(graph));
+		},
+	};
+}
+
+/**
+ * Imports the plugin and its options, every error names the plugin
+ * @param {import('../config.js').PluginReference} reference
+ * @returns {Promise<() => Record<string, unknown>>}
+ */
+async function loadPlugin({ name, url, configUrl, index }) {
+	/** @type {any} */
+	let factory;
+	/** @type {unknown} */
+	let options;
+	try {
+		const module = await import(url);
+		factory = typeof module.default === "function" ? module.default : module;
+		if (configUrl !== undefined && index !== undefined) {
+			const config = await loadConfigFile(fileURLToPath(configUrl));
+			options = parsePluginEntry(
+				/** @type {import('../config.js').PluginEntry[]} */ (config.plugins)[
+					index
+				],
+			).options;
+		}
+	} catch (/** @type {any} */ error) {
+		throw new Error(`Plugin ${name} cannot be loaded: ${error.message}`);
+	}
+	if (typeof factory !== "function") {
+		throw new Error(`Plugin ${name} does not export a function`);
+	}
+	return () => {
+		let plugin;
+		try {
+			plugin = options === undefined ? factory() : factory(options);
+		} catch (/** @type {any} */ error) {
+			throw new Error(`Plugin ${name} failed: ${error.message}`);
+		}
+		return wrapHooks(name, plugin);
+	};
+}
+
+/**
+ * Rollup names failed plugins by their own names, which do not always match the module names
+ * @param {string} name
+ * @param {Record<string, unknown>} plugin
+ */
+function wrapHooks(name, plugin) {
+	/**
+	 * @param {unknown} error
+	 */
+	const rename = (error) => {
+		if (error instanceof Error && !error.message.startsWith(`Plugin ${name}`)) {
+			error.message = `Plugin ${name} failed: ${error.message}`;
+		}
+		return error;
+	};
+	/**
+	 * @param {(...args: unknown[]) => unknown} hook
+	 */
+	const wrap = (hook) =>
+		/**
+		 * @this {unknown}
+		 * @param {unknown[]} args
+		 */
+		function (...args) {
+			try {
+				const result = hook.apply(this, args);
+				// sync hooks stay sync
+				return result instanceof Promise
+					? result.catch((error) => {
+							throw rename(error);
+						})
+					: result;
+			} catch (error) {
+				throw rename(error);
+			}
+		};
+	return Object.fromEntries(
+		Object.entries(plugin).map(([key, value]) => {
+			if (typeof value === "function") {
+				return [
+					key,
+					wrap(/** @type {(...args: unknown[]) => unknown} */ (value)),
+				];
+			}
+			// object hooks, e.g. `{ order: "pre", handler() {} }`
+			if (
+				value &&
+				typeof value === "object" &&
+				"handler" in value &&
+				typeof value.handler === "function"
+			) {
+				return [
+					key,
+					{
+						...value,
+						handler: wrap(
+							/** @type {(...args: unknown[]) => unknown} */ (value.handler),
+						),
+					},
+				];
+			}
+			return [key, value];
+		}),
+	);
+}
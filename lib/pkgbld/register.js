@@ -0,0 +1,4 @@
+// preloaded with `node --import` so pkgbld can find the pkgsz plugin, see ./hooks.js
+import { register } from "node:module";
+
+register("./hooks.js", import.meta.url);
@@ -0,0 +1,806 @@
+// 3rd party imports
+import { blue, gray, green, red, underline, yellow } from "@niceties/ansi";
+// local imports
+import { getResultValue } from "./history.js";
+import {
+	formatColumns,
+	formatSize,
+	formatSizeDelta,
+	sparkline,
+	stripAnsi,
+} from "./utils.js";
+
+// how many of the largest composition entries are shown per package in the comparison table
+const comparisonCompositionEntries = 5;
+
+// how many of the largest files of every package are shown with `--composition files` unless `--top` is given
+const defaultTopFiles = 5;
+
+// how many of the largest installed packages are shown, JSON has all of them
+const installFootprintEntries = 10;
+
+// how many of the largest files of the published tarball are shown, JSON has all of them
+const tarballEntries = 10;
+
+// results counted in pieces rather than bytes
+const countResults = new Set(["nodeModulesFiles", "tarballFiles"]);
+
+export const resultCaptions = {
+	sizeMinified: "minified",
+	sizeMinifiedGzipped: "minified + gzip",
+	sizeMinifiedBrotli: "minified + brotli",
+	nodeModulesSize: "node_modules",
+	nodeModulesFiles: "node_modules files",
+	tarballSize: "tarball",
+	tarballUnpackedSize: "tarball unpacked",
+	tarballFiles: "tarball files",
+	unusedMinified: "unused import",
+	unusedMinifiedGzipped: "unused import + gzip",
+	unusedMinifiedBrotli: "unused import + brotli",
+};
+
+/**
+ * @param {import('./measure.js').Report} report
+ * @param {{ json?: boolean, top?: string | number, composition?: string }} flags
+ */
+export function printResults(report, flags) {
+	if (flags.json) {
+		console.log(JSON.stringify(report, null, 2));
+		return;
+	}
+
+	const options = [{ paddingRight: 4 }, { paddingRight: 4 }, {}];
+	const { includedExports, composition, budgets } = report;
+
+	console.log();
+
+	console.log(
+		formatColumns(
+			report.results.map((result) => {
+				const budget = budgets?.find((budget) => budget.id === result.id);
+				return budget
+					? [...formatResult(result), formatBudget(budget)]
+					: formatResult(result);
+			}),
+			budgets ? [...options.slice(0, 2), { paddingRight: 4 }, {}] : options,
+		),
+	);
+
+	if (includedExports.length) {
+		console.log();
+		if (includedExports.length === 1) {
+			console.log(
+				`Exports:${` ${formatExportName(includedExports[0])} ${includedExports[0].imports ? formatImports(includedExports[0].imports) : includedExports[0].defaultExport ? gray("(default export)") : ""}`}`,
+			);
+		} else {
+			console.log(underline("Exports:"));
+			console.log();
+			// sizes of the files used only by the subpath, shared files are counted once in their own row
+			const sizeIds = includedExports[0].results?.map((result) => result.id) ?? [];
+			console.log(
+				formatColumns(
+					[
+						...(sizeIds.length
+							? [["", "", ...sizeIds.map((id) => gray(resultCaptions[id]))]]
+							: []),
+						...includedExports.map((data) => [
+							formatExportName(data),
+							data.defaultExport
+								? green("default export")
+								: blue("no default export"),
+							...sizeIds.map((id) => formatBreakdownValue(data.results, id)),
+							...(data.imports ? [formatImports(data.imports)] : []),
+						]),
+						...(report.shared
+							? [
+									[
+										gray("shared"),
+										"",
+										...sizeIds.map((id) =>
+											formatBreakdownValue(report.shared?.results, id),
+										),
+									],
+								]
+							: []),
+					],
+					[
+						{ paddingRight: 4 },
+						{ paddingRight: 4 },
+						...sizeIds.map(() => ({ paddingRight: 4 })),
+						{},
+					],
+				),
+			);
+		}
+	}
+
+	if (composition.length) {
+		printComposition("Composition:", composition, report.metadata.name, {
+			// the files are also collected for the HTML report, the terminal shows them on request only
+			files: flags.composition === "files" ? report.compositionFiles : undefined,
+			top: flags.top === undefined ? defaultTopFiles : Number(flags.top),
+			compressed: report.compositionCompressed,
+		});
+	}
+
+	if (includedExports.length > 1) {
+		for (const data of includedExports) {
+			if (data.composition?.length) {
+				printComposition(
+					`Composition of ${data.export}:`,
+					data.composition,
+					report.metadata.name,
+				);
+			}
+		}
+		if (report.shared?.composition.length) {
+			printComposition(
+				"Composition of shared code:",
+				report.shared.composition,
+				report.metadata.name,
+			);
+		}
+	}
+
+	if (report.sideEffects) {
+		printSideEffects(report.sideEffects, report.metadata.name);
+	}
+
+	if (report.tarballContents?.length) {
+		printTarballContents(report.tarballContents);
+	}
+
+	if (report.installFootprint?.length) {
+		printInstallFootprint(report.installFootprint);
+	}
+
+	if (report.duplicates?.length) {
+		printDuplicates(report.duplicates);
+	}
+
+	if (report.diff) {
+		printDiff(report.diff);
+	}
+}
+
+/**
+ * Every version of a duplicated package with the packages that require it
+ * @param {import('./footprint.js').DuplicatePackage[]} duplicates
+ */
+function printDuplicates(duplicates) {
+	console.log();
+	console.log(underline("Duplicates:"));
+	console.log();
+	/** @type {string[][]} */
+	const tableData = [];
+	for (const { name, versions } of duplicates) {
+		tableData.push([yellow(name)]);
+		for (const version of versions) {
+			tableData.push([
+				`  ${version.version}${version.paths.length > 1 ? gray(` (${version.paths.length} copies)`) : ""}`,
+				`${formatSize(version.nodeModulesSize)[0]} ${gray("node_modules")}`,
+				version.bundleSize
+					? `${formatSize(version.bundleSize)[0]} ${gray("bundled")}`
+					: gray("not bundled"),
+				version.requiredBy
+					? gray(`required by ${version.requiredBy.join(", ")}`)
+					: "",
+			]);
+		}
+	}
+	console.log(
+		formatColumns(tableData, [
+			{ paddingRight: 4 },
+			{ paddingRight: 4 },
+			{ paddingRight: 4 },
+			{},
+		]),
+	);
+}
+
+/**
+ * What is left of the package when it is imported and nothing is used, and how it compares to the `sideEffects` field
+ * @param {import('./side-effects.js').SideEffects} sideEffects
+ * @param {string} packageName
+ */
+function printSideEffects(sideEffects, packageName) {
+	console.log();
+	console.log(underline("Side effects:"));
+	console.log();
+	if (sideEffects.exports.length > 1) {
+		console.log(
+			formatColumns(
+				sideEffects.exports.map((entry) => [
+					entry.export,
+					formatBreakdownValue(entry.results, "unusedMinified"),
+					entry.kept.length
+						? gray(entry.kept.map(([name]) => name).join(", "))
+						: green("tree-shakable"),
+				]),
+				[{ paddingRight: 4 }, { paddingRight: 4 }, {}],
+			),
+		);
+		console.log();
+	}
+	console.log(
+		sideEffects.treeShakable
+			? green(
+					`${packageName} is tree-shakable, nothing is left when nothing is used`,
+				)
+			: yellow(
+					`${packageName} is not tree-shakable, importing it without using anything keeps ${sideEffects.kept
+						.map(([name, size]) => `${name} (${formatSize(size)[0]})`)
+						.join(", ")}`,
+				),
+	);
+	const declared = `"sideEffects": ${JSON.stringify(sideEffects.declared)}`;
+	switch (sideEffects.field) {
+		case "missing":
+			console.log(
+				gray(
+					'package.json could declare "sideEffects": false, so bundlers drop unused imports of the package without analyzing its code',
+				),
+			);
+			break;
+		case "mismatch":
+			console.log(
+				yellow(`package.json declares ${declared}, but the code above is kept`),
+			);
+			break;
+		default:
+			console.log(
+				gray(
+					sideEffects.declared === undefined
+						? 'package.json does not declare "sideEffects"'
+						: `Matches ${declared} of package.json`,
+				),
+			);
+	}
+}
+
+/**
+ * The largest files of the published tarball, tests, sourcemaps or fixtures published by accident stand out here
+ * @param {[string, number][]} files
+ */
+function printTarballContents(files) {
+	console.log();
+	console.log(underline("Tarball:"));
+	console.log();
+	console.log(
+		formatColumns(
+			files
+				.slice(0, tarballEntries)
+				.map(([path, size]) => [path, formatSize(size)[0]]),
+			[{ paddingRight: 4 }, {}],
+		),
+	);
+	if (files.length > tarballEntries) {
+		console.log(gray(`... ${files.length - tarballEntries} more files`));
+	}
+}
+
+/**
+ * The largest installed packages with the chain of dependencies that installs them
+ * @param {import('./footprint.js').InstallEntry[]} entries
+ */
+function printInstallFootprint(entries) {
+	console.log();
+	console.log(underline("Install footprint:"));
+	console.log();
+	console.log(
+		formatColumns(
+			entries.slice(0, installFootprintEntries).map((entry) => [
+				green(entry.version ? `${entry.name}@${entry.version}` : entry.name),
+				formatSize(entry.size)[0],
+				gray(`${entry.files} files`),
+				entry.chain && entry.chain.length > 1
+					? gray(`via ${entry.chain.slice(0, -1).join(" > ")}`)
+					: "",
+			]),
+			[{ paddingRight: 4 }, { paddingRight: 4 }, { paddingRight: 4 }, {}],
+		),
+	);
+	if (entries.length > installFootprintEntries) {
+		console.log(
+			gray(`... ${entries.length - installFootprintEntries} more packages`),
+		);
+	}
+}
+
+/**
+ * The package itself goes first, dependencies are sorted by size.
+ * With files every package is followed by its largest files,
+ * estimated compressed sizes are shown for packages only
+ * @param {string} title
+ * @param {[string, number][]} composition
+ * @param {string} packageName
+ * @param {{ files?: [string, [string, number][]][], top: number, compressed?: [string, { gzip?: number, brotli?: number }][] }} [options]
+ */
+function printComposition(title, composition, packageName, options) {
+	console.log();
+	console.log(underline(title));
+	console.log();
+	/** @type {string[][]} */
+	const tableData = [];
+	const firstRow = composition.filter((row) => row[0] === packageName);
+	const rest = composition.filter((row) => row[0] !== packageName);
+	const compositionSorted = rest.sort((a, b) => b[1] - a[1]);
+	const packagesFiles = new Map(options?.files);
+	const compressed = new Map(options?.compressed);
+	/**
+	 * @param {string} pkgName
+	 */
+	const compressedCells = (pkgName) => {
+		const sizes = compressed.get(pkgName);
+		return [
+			sizes?.gzip === undefined ? "" : `~${formatSize(sizes.gzip)[0]} ${gray("gzip")}`,
+			sizes?.brotli === undefined ? "" : `~${formatSize(sizes.brotli)[0]} ${gray("brotli")}`,
+		];
+	};
+	/**
+	 * @param {string} pkgName
+	 */
+	const pushFiles = (pkgName) => {
+		const files = packagesFiles.get(pkgName) ?? [];
+		const top = options?.top ?? files.length;
+		for (const [fileName, size] of files.slice(0, top)) {
+			const sizes = formatSize(size);
+			tableData.push([`  ${fileName}`, sizes[0], sizes[1]]);
+		}
+		if (files.length > top) {
+			tableData.push([gray(`  ... ${files.length - top} more files`), "", ""]);
+		}
+	};
+	if (firstRow.length) {
+		const sizes = formatSize(firstRow[0][1]);
+		tableData.push([
+			green(firstRow[0][0]) + gray(" (self)"),
+			sizes[0],
+			sizes[1],
+			...compressedCells(firstRow[0][0]),
+		]);
+		pushFiles(firstRow[0][0]);
+	}
+	for (const [pkgName, size] of compositionSorted) {
+		const sizes = formatSize(size);
+		tableData.push([
+			green(pkgName),
+			sizes[0],
+			sizes[1],
+			...compressedCells(pkgName),
+		]);
+		pushFiles(pkgName);
+	}
+	console.log(
+		formatColumns(tableData, [
+			{ paddingRight: 4 },
+			{ paddingRight: 4 },
+			{ paddingRight: 4 },
+			{ paddingRight: 4 },
+			{},
+		]),
+	);
+}
+
+/**
+ * @param {import('./measure.js').Result[] | undefined} results
+ * @param {keyof typeof resultCaptions} id
+ */
+function formatBreakdownValue(results, id) {
+	const result = results?.find((result) => result.id === id);
+	return result ? formatSize(result.value)[0] : gray("-");
+}
+
+/**
+ * @param {import('./diff.js').ReportDiff} diff
+ */
+function printDiff(diff) {
+	console.log();
+	console.log(
+		underline(`Diff against ${diff.baseline.name}@${diff.baseline.version}:`),
+	);
+	console.log();
+
+	console.log(
+		formatColumns(
+			diff.results.map((result) => {
+				const format = (/** @type {number | null} */ value) =>
+					value === null
+						? gray("-")
+						: countResults.has(result.id)
+							? String(value)
+							: formatSize(value)[0];
+				const delta =
+					countResults.has(result.id)
+						? `${result.delta > 0 ? "+" : ""}${result.delta}`
+						: formatSizeDelta(result.delta);
+				const percent =
+					result.percent === null
+						? ""
+						: ` (${result.percent > 0 ? "+" : ""}${result.percent}%)`;
+				return [
+					resultCaptions[result.id],
+					format(result.before),
+					"→",
+					format(result.after),
+					colorDelta(result.delta, `${delta}${percent}`),
+				];
+			}),
+			[
+				{ paddingRight: 4 },
+				{ paddingRight: 1 },
+				{ paddingRight: 1 },
+				{ paddingRight: 4 },
+				{},
+			],
+		),
+	);
+
+	const { added, removed, grown, shrunk } = diff.composition;
+
+	/** @type {string[][]} */
+	const compositionRows = [
+		...added.map(([name, size]) => [
+			red("+"),
+			green(name),
+			red(`+${stripAnsi(formatSize(size)[0])}`),
+		]),
+		...removed.map(([name, size]) => [
+			green("-"),
+			green(name),
+			green(`-${stripAnsi(formatSize(size)[0])}`),
+		]),
+		...grown
+			.sort((a, b) => b.delta - a.delta)
+			.map((change) => [
+				yellow("▲"),
+				green(change.name),
+				colorDelta(change.delta, formatSizeDelta(change.delta)),
+			]),
+		...shrunk
+			.sort((a, b) => a.delta - b.delta)
+			.map((change) => [
+				green("▼"),
+				green(change.name),
+				colorDelta(change.delta, formatSizeDelta(change.delta)),
+			]),
+	];
+
+	if (compositionRows.length) {
+		console.log();
+		console.log(underline("Composition changes:"));
+		console.log();
+		console.log(
+			formatColumns(compositionRows, [
+				{ paddingRight: 1 },
+				{ paddingRight: 4 },
+				{},
+			]),
+		);
+	}
+
+	const { added: addedExports, removed: removedExports } =
+		diff.includedExports;
+
+	if (addedExports.length || removedExports.length) {
+		console.log();
+		console.log(underline("Exports changes:"));
+		console.log();
+		for (const exportName of addedExports) {
+			console.log(`${green("+")} ${exportName}`);
+		}
+		for (const exportName of removedExports) {
+			console.log(`${red("-")} ${exportName}`);
+		}
+	}
+}
+
+/**
+ * @param {import('./measure.js').Report['includedExports'][number]} data
+ */
+function formatExportName(data) {
+	const name = data.pattern
+		? `${data.export} ${gray(`(${data.pattern})`)}`
+		: data.export;
+	return data.condition ? `${name} ${gray(`[${data.condition}]`)}` : name;
+}
+
+/**
+ * @param {string[]} imports
+ */
+function formatImports(imports) {
+	return gray(`{ ${imports.join(", ")} }`);
+}
+
+/**
+ * Growth is bad news for a size tool, so it is red
+ * @param {number} delta
+ * @param {string} text
+ */
+function colorDelta(delta, text) {
+	if (delta > 0) {
+		return red(text);
+	}
+	return delta < 0 ? green(text) : gray(text);
+}
+
+/**
+ * Prints one table with a column per package
+ * @param {import('./measure.js').Report[]} reports
+ * @param {{ json?: boolean }} flags
+ */
+export function printComparison(reports, flags) {
+	if (flags.json) {
+		console.log(JSON.stringify(reports, null, 2));
+		return;
+	}
+
+	const options = [{ paddingRight: 4 }, ...reports.map(() => ({ paddingRight: 4 }))];
+
+	const ids = /** @type {(keyof typeof resultCaptions)[]} */ (
+		Object.keys(resultCaptions)
+	).filter((id) =>
+		reports.some((report) => report.results.some((result) => result.id === id)),
+	);
+
+	/** @type {string[][]} */
+	const tableData = [
+		[
+			"",
+			...reports.map((report) =>
+				underline(
+					`${report.metadata.name}@${report.metadata.version}${report.metadata.conditions ? ` [${report.metadata.conditions.join(",")}]` : ""}${report.metadata.bundler ? ` (${report.metadata.bundler})` : ""}`,
+				),
+			),
+		],
+	];
+
+	for (const id of ids) {
+		tableData.push([
+			resultCaptions[id],
+			...reports.map((report) => {
+				const result = report.results.find((result) => result.id === id);
+				if (!result) {
+					return gray("-");
+				}
+				const budget = report.budgets?.find((budget) => budget.id === id);
+				return budget?.status === "fail"
+					? red(stripAnsi(formatResultValue(result)))
+					: formatResultValue(result);
+			}),
+		]);
+	}
+
+	const topEntries = reports.map((report) =>
+		[...report.composition]
+			.sort((a, b) => b[1] - a[1])
+			.slice(0, comparisonCompositionEntries),
+	);
+
+	if (topEntries.some((entries) => entries.length)) {
+		tableData.push([]);
+		tableData.push([underline("Composition:")]);
+		for (let index = 0; index < comparisonCompositionEntries; index++) {
+			if (topEntries.every((entries) => index >= entries.length)) {
+				break;
+			}
+			tableData.push([
+				`#${index + 1}`,
+				...topEntries.map((entries) =>
+					index < entries.length
+						? `${green(entries[index][0])} ${formatSize(entries[index][1])[0]}`
+						: "",
+				),
+			]);
+		}
+	}
+
+	console.log();
+
+	console.log(formatColumns(tableData, options));
+}
+
+/**
+ * Prints a row per package, in the order of the reports
+ * @param {import('./measure.js').Report[]} reports
+ * @param {{ json?: boolean }} flags
+ */
+export function printSummary(reports, flags) {
+	if (flags.json) {
+		console.log(JSON.stringify(reports, null, 2));
+		return;
+	}
+
+	const ids = /** @type {(keyof typeof resultCaptions)[]} */ (
+		Object.keys(resultCaptions)
+	).filter((id) =>
+		reports.some((report) => report.results.some((result) => result.id === id)),
+	);
+
+	/** @type {string[][]} */
+	const tableData = [
+		[
+			underline("package"),
+			underline("subpaths"),
+			...ids.map((id) => underline(resultCaptions[id])),
+		],
+	];
+
+	for (const report of reports) {
+		tableData.push([
+			green(formatReportName(report)),
+			String(report.includedExports.length),
+			...ids.map((id) => {
+				const result = report.results.find((result) => result.id === id);
+				if (!result) {
+					return gray("-");
+				}
+				const budget = report.budgets?.find((budget) => budget.id === id);
+				return budget?.status === "fail"
+					? red(stripAnsi(formatResultValue(result)))
+					: formatResultValue(result);
+			}),
+		]);
+	}
+
+	console.log();
+
+	console.log(
+		formatColumns(
+			tableData,
+			tableData[0].map(() => ({ paddingRight: 4 })),
+		),
+	);
+}
+
+/**
+ * Prints every check of the config as a separate run, JSON of several checks is an array of the reports
+ * @param {import('./measure.js').Report[]} reports
+ * @param {{ json?: boolean }} flags
+ * @param {Map<string, { top?: string | number, composition?: string }>} checkFlags flags every check is measured with
+ */
+export function printChecks(reports, flags, checkFlags) {
+	if (flags.json) {
+		console.log(
+			JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2),
+		);
+		return;
+	}
+
+	for (const report of reports) {
+		console.log();
+		console.log(underline(`Check ${report.metadata.check}:`));
+		printResults(report, {
+			...checkFlags.get(report.metadata.check ?? ""),
+			json: false,
+		});
+	}
+}
+
+/**
+ * Prints a row per version, the version with the largest increase is highlighted
+ * @param {string} packageName
+ * @param {import('./measure.js').Report[]} reports reports ordered from the oldest version
+ * @param {import('./history.js').LargestIncrease | null} largestIncrease
+ * @param {{ json?: boolean }} flags
+ */
+export function printHistory(packageName, reports, largestIncrease, flags) {
+	if (flags.json) {
+		console.log(
+			JSON.stringify(
+				{ metadata: { name: packageName }, versions: reports, largestIncrease },
+				null,
+				2,
+			),
+		);
+		return;
+	}
+
+	const ids = /** @type {(keyof typeof resultCaptions)[]} */ (
+		Object.keys(resultCaptions)
+	).filter((id) =>
+		reports.some((report) =>
+			report.results.some((result) => result.id === id && result.unit === "bytes"),
+		),
+	);
+
+	const options = [{ paddingRight: 4 }, ...ids.map(() => ({ paddingRight: 4 }))];
+
+	/** @type {string[][]} */
+	const tableData = [
+		[underline("version"), ...ids.map((id) => underline(resultCaptions[id]))],
+	];
+
+	for (const report of reports) {
+		const version = String(report.metadata.version);
+		const isLargest = largestIncrease?.version === version;
+		tableData.push([
+			isLargest ? yellow(version) : version,
+			...ids.map((id) => {
+				const value = getResultValue(report, id);
+				if (value === undefined) {
+					return gray("-");
+				}
+				const size = formatSize(value)[0];
+				return isLargest && largestIncrease?.id === id
+					? `${size} ${yellow(`(${formatSizeDelta(largestIncrease.delta)})`)}`
+					: size;
+			}),
+		]);
+	}
+
+	console.log();
+
+	console.log(formatColumns(tableData, options));
+
+	if (reports.length > 1) {
+		console.log();
+		console.log(
+			formatColumns(
+				ids.map((id) => [
+					resultCaptions[id],
+					sparkline(
+						reports.map((report) => getResultValue(report, id) ?? 0),
+					),
+				]),
+				[{ paddingRight: 4 }, {}],
+			),
+		);
+	}
+
+	if (largestIncrease) {
+		console.log();
+		console.log(
+			`Largest increase: ${yellow(largestIncrease.version)} (${formatSizeDelta(largestIncrease.delta)} ${resultCaptions[largestIncrease.id]} since ${largestIncrease.previousVersion})`,
+		);
+	}
+}
+
+/**
+ * `name@version [conditions] (bundler)` without colors
+ * @param {import('./measure.js').Report} report
+ */
+export function formatReportName(report) {
+	const name = report.metadata.version
+		? `${report.metadata.name}@${report.metadata.version}`
+		: report.metadata.name;
+	const conditions = report.metadata.conditions
+		? ` [${report.metadata.conditions.join(", ")}]`
+		: "";
+	const bundler = report.metadata.bundler
+		? ` (${report.metadata.bundler})`
+		: "";
+	return `${name}${conditions}${bundler}`;
+}
+
+/**
+ * @param {import('./measure.js').Result} result
+ */
+function formatResultValue(result) {
+	return result.unit === "bytes"
+		? formatSize(result.value)[0]
+		: String(result.value);
+}
+
+/**
+ * @param {import('./budgets.js').BudgetStatus} budget
+ */
+function formatBudget(budget) {
+	const limit = countResults.has(budget.id)
+		? String(budget.limit)
+		: stripAnsi(formatSize(budget.limit)[0]);
+	return budget.status === "pass"
+		? green(`✓ within budget (${limit})`)
+		: red(`✗ over budget (${limit})`);
+}
+
+/**
+ * @param {import('./measure.js').Result} result
+ */
+function formatResult(result) {
+	const caption = resultCaptions[result.id];
+	if (result.unit === "bytes") {
+		return [caption, ...formatSize(result.value)];
+	}
+	return [caption, String(result.value), ""];
+}
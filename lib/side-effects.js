@@ -0,0 +1,80 @@
+// system imports
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+
+/**
+ * Result of the build that only imports the package, by the result of the full build it is measured with
+ * @type {Record<string, keyof typeof import('./report.js').resultCaptions>}
+ */
+export const unusedResultIds = {
+	sizeMinified: "unusedMinified",
+	sizeMinifiedGzipped: "unusedMinifiedGzipped",
+	sizeMinifiedBrotli: "unusedMinifiedBrotli",
+};
+
+// types
+/**
+ * How the build compares to the `sideEffects` field: `missing` when nothing is left but the field does not say so,
+ * `mismatch` when the field says there are no side effects but code is left
+ * @typedef {'matches' | 'missing' | 'mismatch'} SideEffectsField
+ */
+
+/**
+ * @typedef {Object} SideEffectsEntry
+ * @property {string} export
+ * @property {import('./measure.js').Result[]} results
+ * @property {[string, number][]} kept packages left in the build, largest first
+ */
+
+/**
+ * What an app pays for importing the package without using anything from it
+ * @typedef {Object} SideEffects
+ * @property {boolean | string[] | undefined} declared `sideEffects` field of package.json, a single file is read as a list
+ * @property {boolean} treeShakable nothing of the packages is left when nothing is used
+ * @property {SideEffectsField} field
+ * @property {[string, number][]} kept packages left in the build, largest first
+ * @property {SideEffectsEntry[]} exports every measured subpath imported on its own
+ */
+
+/**
+ * @param {string} packageDir installed package
+ * @returns {Promise<boolean | string[] | undefined>}
+ */
+export async function readSideEffectsField(packageDir) {
+	const manifest = await readFile(join(packageDir, "package.json"), "utf8")
+		.then((json) => JSON.parse(json))
+		.catch(() => undefined);
+	return normalizeSideEffectsField(manifest?.sideEffects);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean | string[] | undefined}
+ */
+export function normalizeSideEffectsField(value) {
+	if (typeof value === "boolean") {
+		return value;
+	}
+	if (typeof value === "string") {
+		return [value];
+	}
+	if (Array.isArray(value)) {
+		return value.filter((file) => typeof file === "string");
+	}
+	return undefined;
+}
+
+/**
+ * @param {boolean | string[] | undefined} declared
+ * @param {boolean} treeShakable
+ * @returns {SideEffectsField}
+ */
+export function compareSideEffects(declared, treeShakable) {
+	if (treeShakable) {
+		// files with side effects are mostly styles, the measured code does not import them
+		return Array.isArray(declared) || declared === false
+			? "matches"
+			: "missing";
+	}
+	return declared === false ? "mismatch" : "matches";
+}
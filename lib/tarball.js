@@ -0,0 +1,35 @@
+// local imports
+import { execEx } from "./utils.js";
+
+// types
+/**
+ * Published tarball as listed by `npm pack --dry-run`
+ * @typedef {Object} Tarball
+ * @property {number} size bytes of the packed `.tgz`
+ * @property {number} unpackedSize
+ * @property {number} fileCount
+ * @property {[string, number][]} files paths inside the tarball with their sizes, largest first
+ */
+
+/**
+ * Lists the tarball without writing it, the installed package is packed again,
+ * so nothing is downloaded whatever package manager installed it
+ * @param {string} packageDir the package in node_modules
+ * @returns {Promise<Tarball>}
+ */
+export async function packTarball(packageDir) {
+	const [data] = JSON.parse(
+		await execEx(
+			`npm pack "${packageDir}" --dry-run --json --ignore-scripts`,
+			{},
+		),
+	);
+	return {
+		size: data.size,
+		unpackedSize: data.unpackedSize,
+		fileCount: data.entryCount,
+		files: /** @type {{ path: string, size: number }[]} */ (data.files)
+			.map(({ path, size }) => /** @type {[string, number]} */ ([path, size]))
+			.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+	};
+}
@@ -0,0 +1,320 @@
+// system imports
+import { exec } from "node:child_process";
+import { readFile, readdir, realpath, stat } from "node:fs/promises";
+import { join } from "node:path";
+import { promisify } from "node:util";
+import { constants, brotliCompress, gunzip, gzip } from "node:zlib";
+// 3rd party imports
+import { cyan } from "@niceties/ansi";
+
+// promisified functions
+const execAsync = promisify(exec);
+const gzipAsync = promisify(gzip);
+const brotliAsync = promisify(brotliCompress);
+const gunzipAsync = promisify(gunzip);
+
+const ansiRegex = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, "g");
+
+// auth settings of .npmrc, credentials in urls and bearer tokens
+/** @type {[RegExp, string][]} */
+const secretPatterns = [
+	[/(_authToken|_auth|_password)(\s*[=:]\s*)\S+/gi, "$1$2***"],
+	[/(\/\/[^/\s:@]+:)[^/\s@]+@/g, "$1***@"],
+	[/(Bearer\s+)\S+/gi, "$1***"],
+];
+
+// types
+/**
+ * @typedef {('brotli' | 'gzip' | 'none')} CompressionMethod
+ */
+
+/**
+ * @param {string[]} paths
+ */
+export async function dirSize(paths) {
+	return (
+		await Promise.all(
+			paths.map(async (path) => {
+				const { size } = await stat(path);
+
+				return size;
+			}),
+		)
+	).reduce((i, size) => i + size, 0);
+}
+
+/**
+ * @param {string[]} paths
+ * @param {CompressionMethod[]} methods
+ */
+export async function dirCompressedSize(paths, methods) {
+	const methodsSet = new Set(methods);
+	if (methodsSet.has("none") && methodsSet.size === 1) {
+		return {
+			none: await dirSize(paths),
+		};
+	}
+	/** @type {Partial<Record<CompressionMethod, number>>} */
+	const results = {};
+	for (const method of methodsSet) {
+		results[method] = 0;
+	}
+	await Promise.all(
+		paths.map(async (path) => {
+			const sizes = await compressedSize(await readFile(path), methods);
+			for (const method of methodsSet) {
+				/** @type {number} */
+				(results[method]) += sizes[method] ?? 0;
+			}
+		}),
+	);
+	return results;
+}
+
+/**
+ * @param {Buffer} content
+ * @param {CompressionMethod[]} methods
+ */
+export async function compressedSize(content, methods) {
+	/** @type {Partial<Record<CompressionMethod, number>>} */
+	const results = {};
+	if (methods.includes("none")) {
+		results.none = content.length;
+	}
+	if (methods.includes("gzip")) {
+		const { length } = await gzipAsync(content, {
+			level: constants.Z_BEST_COMPRESSION,
+		});
+		results.gzip = length;
+	}
+	if (methods.includes("brotli")) {
+		const { length } = await brotliAsync(content, {
+			params: {
+				[constants.BROTLI_PARAM_QUALITY]: constants.BROTLI_MAX_QUALITY,
+			},
+		});
+		results.brotli = length;
+	}
+	return results;
+}
+
+/**
+ * Lists files in the directory recursively, symlinks are followed (pnpm and bun link packages from their stores)
+ * but every real file is listed only once
+ * @param {string} dir
+ */
+export async function filesInDir(dir) {
+	/** @type {Set<string>} real paths of the visited directories and listed files */
+	const seen = new Set();
+	/** @type {string[]} */
+	const files = [];
+
+	/**
+	 * @param {string} path
+	 */
+	async function walk(path) {
+		const realPath = await realpath(path);
+		if (seen.has(realPath)) {
+			return;
+		}
+		seen.add(realPath);
+		for (const entry of await readdir(path, { withFileTypes: true })) {
+			const entryPath = join(path, entry.name);
+			if (entry.isDirectory()) {
+				await walk(entryPath);
+			} else if (entry.isFile()) {
+				addFile(entryPath, join(realPath, entry.name));
+			} else if (entry.isSymbolicLink()) {
+				// broken links are skipped
+				const target = await stat(entryPath).catch(() => undefined);
+				if (target?.isDirectory()) {
+					await walk(entryPath);
+				} else if (target?.isFile()) {
+					addFile(entryPath, await realpath(entryPath));
+				}
+			}
+		}
+	}
+
+	/**
+	 * @param {string} path
+	 * @param {string} realPath
+	 */
+	function addFile(path, realPath) {
+		if (!seen.has(realPath)) {
+			seen.add(realPath);
+			files.push(path);
+		}
+	}
+
+	await walk(dir);
+
+	return files;
+}
+
+/**
+ * Reads a single file from a gzipped tarball (like the ones produced by `npm pack`)
+ * @param {string} path
+ * @param {string} fileName path of the file inside the tarball, e.g. `package/package.json`
+ * @returns {Promise<string | undefined>}
+ */
+export async function readFileFromTarball(path, fileName) {
+	const tar = await gunzipAsync(await readFile(path));
+	const blockSize = 512;
+	let offset = 0;
+	while (offset + blockSize <= tar.length) {
+		const header = tar.subarray(offset, offset + blockSize);
+		const name = readTarString(header, 0, 100);
+		if (!name) {
+			// two empty blocks mark the end of the archive
+			break;
+		}
+		const prefix = readTarString(header, 345, 155);
+		const size = Number.parseInt(readTarString(header, 124, 12) || "0", 8);
+		const dataStart = offset + blockSize;
+		if ((prefix ? `${prefix}/${name}` : name) === fileName) {
+			return tar.subarray(dataStart, dataStart + size).toString("utf8");
+		}
+		offset = dataStart + Math.ceil(size / blockSize) * blockSize;
+	}
+	return undefined;
+}
+
+/**
+ * @param {Buffer} header
+ * @param {number} start
+ * @param {number} length
+ */
+function readTarString(header, start, length) {
+	const value = header.subarray(start, start + length);
+	const end = value.indexOf(0);
+	return value
+		.subarray(0, end === -1 ? value.length : end)
+		.toString("utf8")
+		.trim();
+}
+
+/**
+ * @param {string} str
+ */
+export function stripAnsi(str) {
+	return str.replace(ansiRegex, "");
+}
+
+/**
+ * Hides credentials in output of the package managers before it is printed
+ * @param {string} str
+ */
+export function redactSecrets(str) {
+	return secretPatterns.reduce(
+		(result, [pattern, replacement]) => result.replace(pattern, replacement),
+		str,
+	);
+}
+
+/**
+ * @param {string[][]} rows
+ * @param {{ paddingRight?: number }[]} columnOptions
+ */
+export function formatColumns(rows, columnOptions) {
+	if (rows.length === 0) return "";
+	const colCount = Math.max(...rows.map((row) => row.length));
+	const colWidths = Array.from({ length: colCount }, (_, colIndex) => {
+		let max = 0;
+		for (const row of rows) {
+			if (colIndex < row.length) {
+				const visible = stripAnsi(row[colIndex]).length;
+				if (visible > max) max = visible;
+			}
+		}
+		return max;
+	});
+	return rows
+		.map((row) =>
+			row
+				.map((cell, colIndex) => {
+					const padding = columnOptions[colIndex]?.paddingRight ?? 0;
+					const visible = stripAnsi(cell).length;
+					const targetWidth = colWidths[colIndex] + padding;
+					return cell + " ".repeat(Math.max(0, targetWidth - visible));
+				})
+				.join("")
+				.trimEnd(),
+		)
+		.join("\n");
+}
+
+/**
+ * @param {number} size
+ */
+export function formatSize(size) {
+	const [value, unit] = sizeParts(size);
+	return [`${cyan(value)} ${unit}`, size < 1024 ? "" : `(${size} bytes)`];
+}
+
+/**
+ * Value and unit of the size without colors, `1536` -> `["1.50", "KiB"]`
+ * @param {number} size
+ * @returns {[string, string]}
+ */
+export function sizeParts(size) {
+	if (size < 1024) {
+		return [String(size), "bytes"];
+	}
+
+	if (size < 1024 * 1024) {
+		return [(size / 1024).toFixed(2), "KiB"];
+	}
+
+	return [(size / 1024 / 1024).toFixed(2), "MiB"];
+}
+
+/**
+ * @param {string} command
+ * @param {import('node:child_process').ExecOptions} options
+ * @param {boolean} [returnStderr]
+ * @param {{ log(...message: unknown[]): void }} [debugLogger] prints stderr of the command when given
+ */
+export async function execEx(
+	command,
+	options,
+	returnStderr = false,
+	debugLogger = undefined,
+) {
+	try {
+		const result = await execAsync(command, options);
+		if (debugLogger && result.stderr) {
+			debugLogger.log(redactSecrets(result.stderr.toString()));
+		}
+		return result[returnStderr ? "stderr" : "stdout"].toString();
+	} catch (/** @type {any} */ e) {
+		throw new Error(redactSecrets(String(e.stderr ?? "")));
+	}
+}
+
+/**
+ * @param {number[]} values
+ */
+export function sparkline(values) {
+	const ticks = "▁▂▃▄▅▆▇█";
+	const min = Math.min(...values);
+	const max = Math.max(...values);
+	return values
+		.map(
+			(value) =>
+				ticks[
+					max === min
+						? 0
+						: Math.round(((value - min) / (max - min)) * (ticks.length - 1))
+				],
+		)
+		.join("");
+}
+
+/**
+ * @param {number} delta
+ */
+export function formatSizeDelta(delta) {
+	const sign = delta < 0 ? "-" : "+";
+	return `${sign}${stripAnsi(formatSize(Math.abs(delta))[0])}`;
+}
@@ -0,0 +1,398 @@
+// system imports
+import { cp, readdir, readFile, writeFile } from "node:fs/promises";
+import { basename, dirname, join, relative, resolve, sep } from "node:path";
+// local imports
+import {
+	defaultConditions,
+	normalizeExportsMap,
+	resolveExportTarget,
+} from "./exports.js";
+
+// dependencies installed with the package, `workspace:` versions of them are replaced with the copies of the workspace packages
+const installedDependencyFields = [
+	"dependencies",
+	"optionalDependencies",
+	"peerDependencies",
+];
+
+// `--sort` values, the sizes are sorted from the largest one
+const sortKeys = {
+	name: undefined,
+	minified: "sizeMinified",
+	gzip: "sizeMinifiedGzipped",
+	brotli: "sizeMinifiedBrotli",
+	"node-modules": "nodeModulesSize",
+};
+
+// types
+/**
+ * @typedef {Object} WorkspacePackage
+ * @property {string} name
+ * @property {string} path relative to the root, starts with `./` so it is measured as a local package
+ * @property {boolean} private
+ * @property {string[]} exports subpaths of the exports map with code behind them, `.` when there is no map
+ */
+
+/**
+ * Packages of the workspace declared by the root package.json (npm, yarn, bun) or pnpm-workspace.yaml (pnpm),
+ * in the order of the patterns and the directory names
+ * @param {string} root
+ * @param {{ includePrivate?: boolean }} options
+ * @returns {Promise<WorkspacePackage[]>}
+ */
+export async function findWorkspacePackages(root, { includePrivate }) {
+	const patterns = await readWorkspacePatterns(root);
+	if (!patterns.length) {
+		throw new Error(
+			`No workspaces in ${join(root, "package.json")} or ${join(root, "pnpm-workspace.yaml")}`,
+		);
+	}
+
+	const include = patterns
+		.filter((pattern) => !pattern.startsWith("!"))
+		.map(globToRegExp);
+	const exclude = patterns
+		.filter((pattern) => pattern.startsWith("!"))
+		.map((pattern) => globToRegExp(pattern.substring(1)));
+
+	// `packages/*` needs two levels of directories only, workspaces can have huge directories of other kinds
+	const maxDepth = patterns.some((pattern) => pattern.includes("**"))
+		? Number.POSITIVE_INFINITY
+		: Math.max(
+				...patterns.map(
+					(pattern) =>
+						pattern
+							.replace(/^!?\.\//, "")
+							.replace(/\/+$/, "")
+							.split("/").length,
+				),
+			);
+
+	const dirs = (await listDirs(root, maxDepth)).filter(
+		(dir) =>
+			include.some((regex) => regex.test(dir)) &&
+			!exclude.some((regex) => regex.test(dir)),
+	);
+	dirs.sort(
+		(a, b) =>
+			include.findIndex((regex) => regex.test(a)) -
+				include.findIndex((regex) => regex.test(b)) || a.localeCompare(b),
+	);
+
+	/** @type {WorkspacePackage[]} */
+	const packages = [];
+	for (const dir of dirs) {
+		const manifest = await readManifest(join(root, dir));
+		if (!manifest || typeof manifest.name !== "string") {
+			continue;
+		}
+		if (manifest.private && !includePrivate) {
+			continue;
+		}
+		packages.push({
+			name: manifest.name,
+			path: `./${dir}`,
+			private: Boolean(manifest.private),
+			exports: getWorkspaceExports(manifest.exports),
+		});
+	}
+	return packages;
+}
+
+/**
+ * Subpaths of the exports map, `./package.json`, blocked subpaths (`null`) and subpaths without
+ * es modules or scripts behind them (styles, json) are left out
+ * @param {unknown} exportsField
+ * @returns {string[]}
+ */
+export function getWorkspaceExports(exportsField) {
+	const exportsMap = normalizeExportsMap(exportsField);
+	if (!exportsMap) {
+		return ["."];
+	}
+	const conditions = new Set(defaultConditions);
+	const subpaths = Object.entries(exportsMap)
+		.filter(
+			([subpath, target]) =>
+				subpath.startsWith(".") &&
+				subpath !== "./package.json" &&
+				/\.[cm]?js$/.test(resolveExportTarget(target, conditions) ?? ""),
+		)
+		.map(([subpath]) => subpath);
+	return subpaths.length ? subpaths : ["."];
+}
+
+/**
+ * @param {Record<string, any>} manifest
+ */
+export function hasWorkspaceDependencies(manifest) {
+	return [...installedDependencyFields, "devDependencies"].some((field) =>
+		Object.values(manifest[field] ?? {}).some((spec) =>
+			String(spec).startsWith("workspace:"),
+		),
+	);
+}
+
+/**
+ * npm cannot install `workspace:` dependencies (EUNSUPPORTEDPROTOCOL), so the package and the workspace packages it depends on
+ * are copied into the directory with these dependencies pointing to the copies, dev dependencies get the versions they are published with
+ * @param {string} packageDir
+ * @param {string} stagingDir
+ * @returns {Promise<string>} directory of the copy of the package
+ */
+export async function stageWorkspacePackage(packageDir, stagingDir) {
+	const root = await findWorkspaceRoot(packageDir);
+	if (!root) {
+		throw new Error(
+			`Cannot find the workspace of ${packageDir} to install its workspace: dependencies`,
+		);
+	}
+	/** @type {Map<string, string>} */
+	const workspaceDirs = new Map(
+		(await findWorkspacePackages(root, { includePrivate: true })).map(
+			(workspacePackage) => [
+				workspacePackage.name,
+				join(root, workspacePackage.path),
+			],
+		),
+	);
+	const workspaceName = relative(process.cwd(), root) || ".";
+	/** @type {Map<string, string>} */
+	const staged = new Map();
+
+	/**
+	 * @param {string} dir
+	 * @param {Record<string, any>} manifest
+	 * @returns {Promise<string>}
+	 */
+	async function stage(dir, manifest) {
+		const target = join(stagingDir, manifest.name.replace("/", "+"));
+		// dependency cycles end here
+		staged.set(manifest.name, target);
+		// the same directories npm never packs
+		await cp(dir, target, {
+			recursive: true,
+			filter: (source) => !["node_modules", ".git"].includes(basename(source)),
+		});
+
+		for (const field of [...installedDependencyFields, "devDependencies"]) {
+			for (const [name, spec] of Object.entries(manifest[field] ?? {})) {
+				if (!String(spec).startsWith("workspace:")) {
+					continue;
+				}
+				const dependencyDir = workspaceDirs.get(name);
+				const dependencyManifest =
+					dependencyDir && (await readManifest(dependencyDir));
+				if (!dependencyDir || !dependencyManifest) {
+					throw new Error(
+						`${name}@${spec} of ${manifest.name} is not a package of the workspace ${workspaceName}`,
+					);
+				}
+				manifest[field][name] =
+					field === "devDependencies"
+						? toPublishedVersion(spec, dependencyManifest.version)
+						: `file:${staged.get(name) ?? (await stage(dependencyDir, dependencyManifest))}`;
+			}
+		}
+
+		await writeFile(
+			join(target, "package.json"),
+			JSON.stringify(manifest, null, 2),
+		);
+		return target;
+	}
+
+	const manifest = await readManifest(packageDir);
+	if (!manifest || typeof manifest.name !== "string") {
+		throw new Error(`Cannot read package.json in ${packageDir}`);
+	}
+	return stage(resolve(packageDir), manifest);
+}
+
+/**
+ * @param {{ sort?: string, workspaces?: boolean }} flags
+ */
+export function validateSort(flags) {
+	if (flags.sort === undefined) {
+		return [];
+	}
+	if (!flags.workspaces) {
+		return ["--sort can be used with --workspaces only"];
+	}
+	if (flags.sort in sortKeys) {
+		return [];
+	}
+	const keys = Object.keys(sortKeys);
+	return [
+		`Unknown sort order: ${flags.sort} (expected ${keys.slice(0, -1).join(", ")} or ${keys.at(-1)})`,
+	];
+}
+
+/**
+ * Sorts in place, reports without the size go last, the order of the workspace is kept without `sort`
+ * @param {import('./measure.js').Report[]} reports
+ * @param {string | undefined} sort
+ */
+export function sortReports(reports, sort) {
+	if (sort === undefined) {
+		return reports;
+	}
+	const id = sortKeys[/** @type {keyof typeof sortKeys} */ (sort)];
+	if (!id) {
+		return reports.sort((a, b) =>
+			a.metadata.name.localeCompare(b.metadata.name),
+		);
+	}
+	/** @param {import('./measure.js').Report} report */
+	const getSize = (report) =>
+		report.results.find((result) => result.id === id)?.value ?? -1;
+	return reports.sort((a, b) => getSize(b) - getSize(a));
+}
+
+/**
+ * @param {string} root
+ * @returns {Promise<string[]>}
+ */
+async function readWorkspacePatterns(root) {
+	const manifest = await readManifest(root);
+	// yarn also accepts `{ packages: [...] }`
+	const workspaces = Array.isArray(manifest?.workspaces)
+		? manifest.workspaces
+		: manifest?.workspaces?.packages;
+	if (Array.isArray(workspaces) && workspaces.length) {
+		return workspaces;
+	}
+
+	const yaml = await readFile(join(root, "pnpm-workspace.yaml"), "utf8").catch(
+		() => "",
+	);
+	return parsePnpmPackages(yaml);
+}
+
+/**
+ * Reads the `packages` list of pnpm-workspace.yaml, the rest of the file is not needed
+ * @param {string} yaml
+ * @returns {string[]}
+ */
+function parsePnpmPackages(yaml) {
+	/** @type {string[]} */
+	const patterns = [];
+	let inPackages = false;
+	for (const line of yaml.split(/\r?\n/)) {
+		const content = line.replace(/\s+#.*$/, "").trimEnd();
+		if (!content.trim() || content.trim().startsWith("#")) {
+			continue;
+		}
+		if (!/^\s/.test(content)) {
+			inPackages = /^packages\s*:/.test(content);
+			continue;
+		}
+		const item = inPackages && content.match(/^\s+-\s*(.+)$/);
+		if (item) {
+			patterns.push(item[1].trim().replace(/^(['"])(.*)\1$/, "$2"));
+		}
+	}
+	return patterns;
+}
+
+/**
+ * `packages/*` matches the directories right in `packages`, `packages/**` the nested ones as well
+ * @param {string} pattern
+ */
+function globToRegExp(pattern) {
+	const source = pattern
+		.replace(/^\.\//, "")
+		.replace(/\/+$/, "")
+		.split("/")
+		.map((segment) =>
+			segment === "**"
+				? ".*"
+				: segment
+						.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+						.replace(/\*/g, "[^/]*")
+						.replace(/\?/g, "[^/]"),
+		)
+		.join("/")
+		// `a/**` matches `a` itself
+		.replace(/\/\.\*$/, "(/.*)?");
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Directories under the root as posix paths relative to it, down to the given depth
+ * @param {string} root
+ * @param {number} maxDepth
+ * @returns {Promise<string[]>}
+ */
+async function listDirs(root, maxDepth) {
+	/** @type {string[]} */
+	const dirs = [];
+
+	/**
+	 * @param {string} path
+	 * @param {number} depth
+	 */
+	async function walk(path, depth) {
+		for (const entry of await readdir(path, { withFileTypes: true })) {
+			if (entry.isDirectory() && !isSkippedDir(entry.name)) {
+				const entryPath = join(path, entry.name);
+				dirs.push(relative(root, entryPath).split(sep).join("/"));
+				if (depth < maxDepth) {
+					await walk(entryPath, depth + 1);
+				}
+			}
+		}
+	}
+
+	await walk(root, 1);
+	return dirs;
+}
+
+/**
+ * Workspace packages are never looked for in node_modules and hidden directories (.git, .yarn, .cache etc.)
+ * @param {string} name
+ */
+function isSkippedDir(name) {
+	return name === "node_modules" || name.startsWith(".");
+}
+
+/**
+ * The closest directory with workspaces, starting from the package itself
+ * @param {string} dir
+ * @returns {Promise<string | undefined>}
+ */
+async function findWorkspaceRoot(dir) {
+	for (let current = resolve(dir); ; current = dirname(current)) {
+		if ((await readWorkspacePatterns(current)).length) {
+			return current;
+		}
+		if (dirname(current) === current) {
+			return undefined;
+		}
+	}
+}
+
+/**
+ * `workspace:*` -> `1.2.3`, `workspace:^` -> `^1.2.3`, `workspace:^1.0.0` -> `^1.0.0`, the way pnpm and yarn publish them
+ * @param {string} spec
+ * @param {string} version
+ */
+function toPublishedVersion(spec, version) {
+	const range = spec.substring("workspace:".length);
+	if (range === "*") {
+		return version;
+	}
+	return range === "^" || range === "~" ? `${range}${version}` : range;
+}
+
+/**
+ * @param {string} dir
+ * @returns {Promise<Record<string, any> | undefined>}
+ */
+async function readManifest(dir) {
+	try {
+		return JSON.parse(await readFile(join(dir, "package.json"), "utf8"));
+	} catch {
+		return undefined;
+	}
+}
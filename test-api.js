@@ -0,0 +1,60 @@
+import assert from 'node:assert';
+import cd from 'node:child_process';
+import test, { describe } from 'node:test';
+import { promisify } from 'node:util';
+import { createLogger, measurePackage } from './lib/index.js';
+
+const exec = promisify(cd.exec);
+
+// the cli gets the same flags from its defaults
+const flags = { noCache: true };
+
+describe('measurePackage', () => {
+    test('resolves to the json output of the cli', async () => {
+        const report = await measurePackage({ packageName: '@tstpkgs/basic-esm', flags });
+        const { stdout } = await exec('node ./index.js @tstpkgs/basic-esm --json --no-cache');
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(report)), JSON.parse(stdout));
+    });
+
+    test('rejects with the partial report', async () => {
+        await assert.rejects(
+            measurePackage({ packageName: '@tstpkgs/basic-esm', flags: { ...flags, import: ['notExported'] } }),
+            (/** @type {any} */ error) => {
+                assert.match(error.message, /Unknown exports of @tstpkgs\/basic-esm: notExported/);
+                assert.strictEqual(error.report.metadata.name, '@tstpkgs/basic-esm');
+                assert.deepStrictEqual(error.report.results.filter((/** @type {any} */ result) => result.id === 'sizeMinified'), []);
+                return true;
+            },
+        );
+    });
+
+    test('runs several measurements in one process', async () => {
+        const esmFlags = { ...flags, export: ['.'] };
+        const cjsFlags = { ...flags, noGzip: true };
+        const esmLogger = createLogger(true);
+        const cjsLogger = createLogger(true);
+
+        const [esm, cjs] = await Promise.all([
+            measurePackage({ packageName: '@tstpkgs/basic-esm', flags: esmFlags, logger: esmLogger }),
+            measurePackage({ packageName: '@tstpkgs/basic-cjs', flags: cjsFlags, logger: cjsLogger }),
+        ]);
+
+        assert.strictEqual(esm.metadata.name, '@tstpkgs/basic-esm');
+        assert.strictEqual(cjs.metadata.name, '@tstpkgs/basic-cjs');
+        assert.deepStrictEqual(esm.composition, [['@tstpkgs/basic-esm', 31], ['[EOLs]', 2]]);
+        assert.deepStrictEqual(cjs.composition, [['@tstpkgs/basic-cjs', 35], ['[unmapped]', 128], ['[EOLs]', 2]]);
+        // gzip is measured for the package that does not turn it off
+        assert.ok(esm.results.some((result) => result.id === 'sizeMinifiedGzipped'));
+        assert.ok(!cjs.results.some((result) => result.id === 'sizeMinifiedGzipped'));
+        // every measurement reports its own package to its own logger
+        assert.match(esmLogger.text, /@tstpkgs\/basic-esm/);
+        assert.match(cjsLogger.text, /@tstpkgs\/basic-cjs/);
+        // the flags of the caller are not changed
+        assert.deepStrictEqual(esmFlags, { ...flags, export: ['.'] });
+        assert.deepStrictEqual(cjsFlags, { ...flags, noGzip: true });
+
+        // the same measurement gives the same report after the others
+        const again = await measurePackage({ packageName: '@tstpkgs/basic-esm', flags });
+        assert.deepStrictEqual(again, esm);
+    });
+});
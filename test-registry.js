@@ -0,0 +1,99 @@
+import cd from 'node:child_process';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+
+const exec = promisify(cd.exec);
+
+/**
+ * Registry stand-in serving the packages of `fixtures/registry`, every version is a directory, e.g. `public/@fixtures/history/1.0.0`.
+ * Packages of `public` are served at the root, packages of `private` under `/private/` to requests with the token only.
+ * `latest` is the highest stable version, `next` the highest prerelease
+ * @param {string} root
+ * @param {string} token
+ * @returns {Promise<{ url: string, close(): Promise<void> }>}
+ */
+export async function startRegistry(root, token) {
+    /** @type {Map<string, { type: string, body: Buffer }>} */
+    const files = new Map();
+
+    const server = createServer((request, response) => {
+        const path = decodeURIComponent(new URL(request.url ?? '/', 'http://localhost').pathname);
+        if (path.startsWith('/private/') && request.headers.authorization !== `Bearer ${token}`) {
+            response.writeHead(401, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({ error: 'authentication required' }));
+            return;
+        }
+        const file = files.get(path);
+        if (!file) {
+            response.writeHead(404, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({ error: 'not found' }));
+            return;
+        }
+        response.writeHead(200, { 'content-type': file.type });
+        response.end(file.body);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+    const { port } = /** @type {import('node:net').AddressInfo} */ (server.address());
+    const url = `http://127.0.0.1:${port}`;
+
+    const packDir = await mkdtemp(join(tmpdir(), 'pkgsz-test-registry-'));
+    try {
+        for (const [access, prefix] of [['public', '/'], ['private', '/private/']]) {
+            for (const name of await listPackages(join(root, access))) {
+                /** @type {Record<string, any>} */
+                const versions = {};
+                for (const version of await readdir(join(root, access, name))) {
+                    const dir = join(root, access, name, version);
+                    const manifest = JSON.parse(await readFile(join(dir, 'package.json'), 'utf8'));
+                    const [{ filename, integrity, shasum }] = JSON.parse((await exec(`npm pack "${dir}" --pack-destination "${packDir}" --json --ignore-scripts`)).stdout);
+                    const tarballPath = `${prefix}${name}/-/${filename}`;
+                    files.set(tarballPath, { type: 'application/octet-stream', body: await readFile(join(packDir, filename)) });
+                    versions[version] = { ...manifest, _id: `${name}@${version}`, dist: { tarball: `${url}${tarballPath}`, integrity, shasum } };
+                }
+                const latest = Object.keys(versions).filter((version) => !version.includes('-')).sort(compareVersions).at(-1);
+                const next = Object.keys(versions).filter((version) => version.includes('-')).sort(compareVersions).at(-1);
+                files.set(`${prefix}${name}`, {
+                    type: 'application/json',
+                    body: Buffer.from(JSON.stringify({ name, 'dist-tags': { latest, ...(next && { next }) }, versions })),
+                });
+            }
+        }
+    } finally {
+        await rm(packDir, { recursive: true, force: true });
+    }
+
+    return {
+        url,
+        close: () => new Promise((resolve) => server.close(() => resolve()))
+    };
+}
+
+/**
+ * Names of the packages in the directory, scoped packages are one level deeper
+ * @param {string} dir
+ */
+async function listPackages(dir) {
+    const names = [];
+    for (const entry of await readdir(dir).catch(() => [])) {
+        if (entry.startsWith('@')) {
+            names.push(...(await readdir(join(dir, entry))).map((name) => `${entry}/${name}`));
+        } else {
+            names.push(entry);
+        }
+    }
+    return names;
+}
+
+/**
+ * `1.10.0` goes after `1.9.0`, prerelease identifiers are not compared
+ * @param {string} a
+ * @param {string} b
+ */
+function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    return partsA[0] - partsB[0] || partsA[1] - partsB[1] || partsA[2] - partsB[2];
+}
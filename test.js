@@ -3,9 +3,11 @@ import cd from 'node:child_process';
 import test, { after, describe } from 'node:test';
 import { parseArgs, promisify } from 'node:util';
 import tests from './tests.json' with { type: 'json' };
-import { writeFile } from 'node:fs/promises';
-import { dirname } from 'node:path';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { startRegistry } from './test-registry.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -22,14 +24,53 @@ const args = parseArgs({ options: {
 // dummy run to make sure the packages are installed
 await exec('node ./index.js @tstpkgs/basic-esm');
 
+// the default cache of the test run, empty at start so the first run of every package measures it
+const cacheHome = await mkdtemp(join(tmpdir(), 'pkgsz-test-cache-'));
+
+// packages of fixtures/registry, test cases refer to it as `<registry>`
+const registry = await startRegistry(join(__dirname, 'fixtures', 'registry'), 'pkgsz-test-token');
+
+// `*.tgz` files are not committed, the fixtures are packed for the run and test cases refer to the directory as `<tarballs>`
+const tarballs = await mkdtemp(join(tmpdir(), 'pkgsz-test-tarballs-'));
+await exec(`npm pack ./fixtures/with-dependency --pack-destination "${tarballs}" --ignore-scripts`);
+
+/**
+ * Besides the exact output a test case can have:
+ * - `cwd` the directory the cli is started in, relative to the repository
+ * - `<registry>` and `<tarballs>` in `args` are the url of the registry stand-in and the directory of the packed fixtures, .npmrc files refer to the host of the registry as `${PKGSZ_TEST_REGISTRY_HOST}`
+ * - `outputContains` parts of stdout and stderr instead of the exact output, for the sizes that depend on the environment
+ * - `files` parts of the files written by the cli
+ * - `secret` a string that must be in neither the output nor the cache, e.g. an auth token
+ * - `requires` optional peer dependencies or package managers, the test case is skipped without them
+ * @typedef {{
+ *     name: string,
+ *     args: string,
+ *     cwd?: string,
+ *     requires?: string[],
+ *     stdout?: string,
+ *     stderr?: string,
+ *     outputContains?: string[],
+ *     files?: Record<string, string[]>,
+ *     secret?: string,
+ *     exitCode?: number
+ * }} TestCase
+ */
+
 for (const [suiteName, suiteTestCases] of Object.entries(tests)) {
     describe(suiteName, () => {
-        for (const testCase of suiteTestCases) {
-            test(testCase.name, async () => {
+        for (const testCase of /** @type {TestCase[]} */(suiteTestCases)) {
+            const missing = (testCase.requires ?? []).filter((name) => !isAvailable(name));
+            test(testCase.name, { skip: missing.length ? `missing ${missing.join(', ')}` : false }, async () => {
                 /** @type {{stdout: string, stderr: string} | cd.ExecException | undefined} */
                 let result;
+                // reports must be the same whether they come from the cache or not, so the default cache is used for them,
+                // the text output lists the steps that differ on cache hits, the cache is disabled for it unless the test case is about it
+                const cacheArgs = /--(cache-dir|offline|clear-cache)\b/.test(testCase.args) || isReportOutput(testCase.args) ? '' : ' --no-cache';
                 try {
-                    result = await exec(`node ./index.js ${testCase.args}`);
+                    result = await exec(`node ${join(__dirname, 'index.js')} ${testCase.args.replaceAll('<registry>', registry.url).replaceAll('<tarballs>', tarballs)}${cacheArgs}`, {
+                        cwd: join(__dirname, testCase.cwd ?? '.'),
+                        env: { ...process.env, XDG_CACHE_HOME: cacheHome, PKGSZ_TEST_REGISTRY_HOST: new URL(registry.url).host },
+                    });
                 } catch (e) {
                     result = /** @type {cd.ExecException} */(e);
                 }
@@ -37,18 +78,45 @@ for (const [suiteName, suiteTestCases] of Object.entries(tests)) {
                 if (args.update) {
                     // @ts-ignore
                     testCase.exitCode = result?.code;
-                    // @ts-ignore
-                    testCase.stdout = clean(result?.stdout);
-                    // @ts-ignore
-                    testCase.stderr = clean(result?.stderr);
+                    if (!testCase.outputContains) {
+                        // @ts-ignore
+                        testCase.stdout = clean(result?.stdout);
+                        // @ts-ignore
+                        testCase.stderr = clean(result?.stderr);
+                    }
                     assert.ok(true);
                 } else {
+                    // successful runs have no exit code, test cases can give 0 explicitly
                     // @ts-ignore
-                    assert.strictEqual(result?.code, testCase.exitCode);
-                    // @ts-ignore
-                    assert.strictEqual(clean(result?.stdout), testCase.stdout);
+                    assert.strictEqual(result?.code ?? 0, testCase.exitCode ?? 0);
+                    if (testCase.outputContains) {
+                        // @ts-ignore
+                        const output = clean(`${result?.stdout}\n${result?.stderr}`);
+                        for (const part of testCase.outputContains) {
+                            assert.ok(output.includes(part), `${part} is not found in ${output}`);
+                        }
+                    } else {
+                        // @ts-ignore
+                        assert.strictEqual(clean(result?.stdout), testCase.stdout);
+                        // @ts-ignore
+                        assert.strictEqual(clean(result?.stderr), testCase.stderr);
+                    }
+                }
+                for (const [path, parts] of Object.entries(testCase.files ?? {})) {
+                    const content = clean(await readFile(join(__dirname, testCase.cwd ?? '.', path), 'utf8'));
+                    for (const part of parts) {
+                        assert.ok(content.includes(part), `${part} is not found in ${path}`);
+                    }
+                }
+                if (testCase.secret) {
                     // @ts-ignore
-                    assert.strictEqual(clean(result?.stderr), testCase.stderr);
+                    assert.ok(!`${result?.stdout}\n${result?.stderr}`.includes(testCase.secret), 'the secret is in the output');
+                    for (const entry of await readdir(cacheHome, { recursive: true, withFileTypes: true })) {
+                        if (entry.isFile()) {
+                            const path = join(entry.parentPath, entry.name);
+                            assert.ok(!(await readFile(path, 'utf8')).includes(testCase.secret), `the secret is in ${path}`);
+                        }
+                    }
                 }
             });
         }
@@ -56,6 +124,9 @@ for (const [suiteName, suiteTestCases] of Object.entries(tests)) {
 }
 
 after(async () => {
+    await rm(cacheHome, { recursive: true, force: true });
+    await rm(tarballs, { recursive: true, force: true });
+    await registry.close();
     // await cleanDir();
     if (args.update) {
         await writeTestCases();
@@ -67,7 +138,27 @@ after(async () => {
 // }
 
 function writeTestCases() {
-    return writeFile('./tests.json', JSON.stringify(tests, null, 4));
+    return writeFile('./tests.json', `${JSON.stringify(tests, null, 4)}\n`);
+}
+
+/**
+ * JSON, markdown and csv outputs do not list the steps
+ * @param {string} args
+ */
+function isReportOutput(args) {
+    return /(^|\s)(-[a-zA-Z]*j[a-zA-Z]*|--json|--format[ =](json|ndjson|markdown|csv))(\s|$)/.test(args);
+}
+
+/**
+ * @param {string} name package or executable name
+ */
+function isAvailable(name) {
+    try {
+        import.meta.resolve(name);
+        return true;
+    } catch {
+        return cd.spawnSync(name, ['--version'], { shell: true, stdio: 'ignore' }).status === 0;
+    }
 }
 
 /**
@@ -77,5 +168,7 @@ function clean(str) {
     let result = str.replace(/^npm warn .*$/gm, '');
     result = result.replace(/\s+/g, ' ').trim();
     result = result.replaceAll(__dirname, '<dirname>');
+    result = result.replaceAll(registry.url, '<registry>');
+    result = result.replaceAll(tarballs, '<tarballs>');
     return result;
 }